@@ -18,12 +18,66 @@ export default defineConfig4CustomTheme<VdoingThemeConfig>({
       lang: 'zh-CN',
       title: "AGI围城",
       description: '大模型基础知识、工程实践、所见所思',
+    },
+    '/en/': { // 英文文章放在 docs/en 下，目录结构与docs相同
+      lang: 'en-US',
+      title: 'AGI Adventurer',
+      description: 'LLM fundamentals, engineering practice and thoughts',
     }
   },
   // base: '/', // 默认'/'。如果你想将你的网站部署到如 https://foo.github.io/bar/，那么 base 应该被设置成 "/bar/",（否则页面将失去样式等文件）
 
   // 主题配置
   themeConfig: {
+    // 多语言，未配置的项使用下面的全局配置
+    locales: {
+      '/': {
+        label: '简体中文',
+        selectText: '语言',
+      },
+      '/en/': {
+        label: 'English',
+        selectText: 'Languages',
+        lastUpdated: 'Last Updated',
+        editLinkText: 'Edit',
+        // 主题组件中的文字，未设置的项使用中文(见 vdoing/util/labels.js)
+        labels: {
+          draft: 'Draft',
+          scheduled: 'Scheduled',
+          draftTitle: 'This post will not be published in production',
+          words: '{words} words',
+          wordsTitle: 'Words',
+          codeLines: ' (plus {lines} lines of code)',
+          readingTime: '{minutes} min read',
+          readingTimeTitle: 'Estimated reading time',
+          readMore: 'Read more',
+          series: 'Series',
+          seriesPart: 'Part {part} of {total}',
+          prev: 'Previous',
+          next: 'Next',
+          relatedPosts: 'Related posts',
+          totalPosts: '{count} posts',
+          totalPostsTitle: 'Posts',
+          totalWords: '{words} words',
+          totalWordsTitle: 'Total words',
+          totalHours: 'About {hours} h of reading',
+          totalHoursTitle: 'Total reading time',
+        },
+        nav: [
+          { text: 'Home', link: '/en/' },
+          {
+            text: 'Index',
+            link: '/en/archives/',
+            items: [
+              { text: 'Categories', link: '/en/categories/' },
+              { text: 'Tags', link: '/en/tags/' },
+              { text: 'Archives', link: '/en/archives/' },
+            ],
+          },
+        ],
+      },
+    },
+
     // 导航配置
     nav: [
       { text: '首页', link: '/' },
@@ -4,9 +4,10 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk')
-const matter = require('gray-matter'); // FrontMatter解析器 https://github.com/jonschlinkert/gray-matter
-const readFileList = require('./modules/readFileList');
+const { scanDocs } = require('../vdoing/node_utils/modules/scanDocs'); // 与主题共用的docs扫描(带缓存)
+const { getDraftStatus } = require('../vdoing/node_utils/modules/draft');
 const urlsRoot = path.join(__dirname, '..', 'urls.txt'); // 百度链接推送文件
+const docsRoot = path.join(__dirname, '..', 'docs'); // docs文件路径
 const DOMAIN = process.argv.splice(2)[0]; // 获取命令行传入的参数
 
 if (DOMAIN) {
@@ -20,12 +21,11 @@ if (DOMAIN) {
  */
 function main() {
   fs.writeFileSync(urlsRoot, DOMAIN)
-  const files = readFileList(); // 读取所有md文件数据
+  const files = scanDocs(docsRoot, { includePages: true }); // 读取所有md文件数据，包括分类页、标签页和归档页
 
-  files.forEach(file => {
-    const { data } = matter(fs.readFileSync(file.filePath, 'utf8'));
+  files.forEach(({ data }) => {
 
-    if (data.permalink) {
+    if (data.permalink && !getDraftStatus(data)) { // 跳过草稿和未到发布时间的文章
       const link = `\r\n${DOMAIN}${data.permalink}`;
       console.log(link)
       fs.appendFileSync(urlsRoot, link);
@@ -3,13 +3,12 @@
  */
 const fs = require('fs'); // 文件模块
 const path = require('path'); // 路径模块
-const matter = require('gray-matter'); // front matter解析器 https://github.com/jonschlinkert/gray-matter
-const jsonToYaml = require('json2yaml')
 const yamlToJs = require('yamljs')
 const inquirer = require('inquirer') // 命令行操作
 const chalk = require('chalk') // 命令行打印美化
-const readFileList = require('./modules/readFileList');
-const { type, repairDate} = require('./modules/fn');
+const readFileList = require('../vdoing/node_utils/modules/readFileList');
+const { type } = require('./modules/fn');
+const { parseFrontmatter, updateFrontmatter } = require('../vdoing/node_utils/modules/frontmatter'); // 与主题共用的frontmatter读写模块
 const log = console.log
 
 const configPath = path.join(__dirname, 'config.yml') // 配置文件的路径
@@ -53,40 +52,26 @@ async function main() {
 
   files.forEach(file => {
     let dataStr = fs.readFileSync(file.filePath, 'utf8');// 读取每个md文件的内容
-    const fileMatterObj = matter(dataStr) // 解析md文件的front Matter。 fileMatterObj => {content:'剔除frontmatter后的文件内容字符串', data:{<frontmatter对象>}, ...}
-    let matterData = fileMatterObj.data; // 得到md文件的front Matter
-    
-    let mark = false
+    const { data: matterData } = parseFrontmatter(dataStr) // 得到md文件的front Matter
+
     // 删除操作
+    let deleteKeys = []
     if (config.delete) {
       if( type(config.delete) !== 'array' ) {
         log(chalk.yellow('未能完成删除操作，delete字段的值应该是一个数组！'))
       } else {
-        config.delete.forEach(item => {
-          if (matterData[item]) {
-            delete matterData[item]
-            mark = true
-          }
-        })
-        
+        deleteKeys = config.delete.filter(item => matterData.hasOwnProperty(item))
       }
     }
 
     // 添加、修改操作
-    if (type(config.data) === 'object') {
-      Object.assign(matterData, config.data) // 将配置数据合并到front Matter对象
-      mark = true
-    }
-    
-    // 有操作时才继续
-    if (mark) {
-      if(matterData.date && type(matterData.date) === 'date') {
-        matterData.date = repairDate(matterData.date) // 修复时间格式
-      }
-      const newData = jsonToYaml.stringify(matterData).replace(/\n\s{2}/g,"\n").replace(/"/g,"")  + '---\r\n' + fileMatterObj.content;
+    const changes = type(config.data) === 'object' ? config.data : {}
+
+    // 只改动有变化的字段，其余内容保持原样
+    const newData = updateFrontmatter(dataStr, changes, deleteKeys)
+    if (newData !== dataStr) {
       fs.writeFileSync(file.filePath, newData); // 写入
       log(chalk.green(`update frontmatter：${file.filePath} `))
     }
-
   })
 }
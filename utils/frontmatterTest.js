@@ -0,0 +1,57 @@
+/**
+ * frontmatter读写模块测试
+ * 运行：node --test utils/frontmatterTest.js
+ */
+const test = require('node:test');
+const assert = require('assert');
+const { parseFrontmatter, updateFrontmatter } = require('../vdoing/node_utils/modules/frontmatter');
+
+test('中文标题', () => {
+  const str = updateFrontmatter('# 正文\n', { title: '大模型基础知识', categories: ['基础知识', '注意力机制'] })
+  assert.strictEqual(str, '---\ntitle: 大模型基础知识\ncategories:\n  - 基础知识\n  - 注意力机制\n---\n# 正文\n')
+  assert.deepStrictEqual(parseFrontmatter(str).data.categories, ['基础知识', '注意力机制'])
+})
+
+test('标题包含冒号、井号和引号', () => {
+  const titles = ['RAG: 检索增强生成', '#1 入门', 'Say "hello"', "It's: \"quoted\" #tag"]
+  titles.forEach(title => {
+    const str = updateFrontmatter('---\ndate: 2025-03-11 21:50:53\n---\n正文', { title })
+    assert.strictEqual(parseFrontmatter(str).data.title, title)
+  })
+})
+
+test('多行字符串', () => {
+  const description = '第一行\n第二行: 含冒号\n'
+  const str = updateFrontmatter('---\ntitle: 多行\n---\n', { description })
+  assert.strictEqual(parseFrontmatter(str).data.description, description)
+})
+
+test('保留注释、字段顺序和引号', () => {
+  const str = '---\n# 页面配置\ntitle: "Transformer概述" # 标题\nsticky: 1\ntags:\n  - LLM\n---\n正文\n'
+  const newStr = updateFrontmatter(str, { permalink: '/pages/abcdef/' })
+  assert.strictEqual(newStr, '---\n# 页面配置\ntitle: "Transformer概述" # 标题\nsticky: 1\ntags:\n  - LLM\npermalink: /pages/abcdef/\n---\n正文\n')
+})
+
+test('只修改有变化的字段', () => {
+  const str = '---\ntitle:   原标题   # 注释\nsticky: 1\n---\n正文'
+  assert.strictEqual(updateFrontmatter(str, { sticky: 1 }), str)
+  assert.strictEqual(updateFrontmatter(str, { sticky: 2 }), '---\ntitle:   原标题   # 注释\nsticky: 2\n---\n正文')
+})
+
+test('删除字段', () => {
+  const str = '---\ntitle: 标题\ntags:\n  - a\n  - b\nsticky: 1\n---\n正文'
+  assert.strictEqual(updateFrontmatter(str, {}, ['tags']), '---\ntitle: 标题\nsticky: 1\n---\n正文')
+})
+
+test('读取和修改的解析结果一致', () => {
+  const str = '---\nversion: 010\ndate: 2025-03-11 21:50:53\n---\n正文'
+  const { data } = parseFrontmatter(str)
+  assert.strictEqual(data.version, 10)
+  assert.ok(data.date instanceof Date)
+  assert.strictEqual(updateFrontmatter(str, { version: data.version, date: data.date }), str)
+})
+
+test('保留CRLF换行', () => {
+  const str = '---\r\ntitle: 标题\r\n---\r\n正文\r\n'
+  assert.strictEqual(updateFrontmatter(str, { date: '2025-03-11 21:50:53' }), '---\r\ntitle: 标题\r\ndate: 2025-03-11 21:50:53\r\n---\r\n正文\r\n')
+})
@@ -0,0 +1,86 @@
+/**
+ * 相关文章打分测试
+ * 运行：node --test utils/relatedPostsTest.js
+ */
+const test = require('node:test');
+const assert = require('assert');
+const setRelatedPosts = require('../vdoing/node_utils/relatedPosts');
+
+// 构造ctx.pages中的页面
+function createPage(name, { title = name, content = '', tags = [], categories = [], regularPath } = {}) {
+  return {
+    key: name,
+    title,
+    path: `/pages/${name}/`,
+    regularPath: regularPath || `/${name}.html`,
+    frontmatter: { title, categories },
+    tags,
+    _strippedContent: content
+  }
+}
+
+const getPaths = page => page.relatedPosts.map(item => item.path)
+
+test('共同标签和分类越多越相关', () => {
+  const pages = [
+    createPage('a', { tags: ['LLM', 'RAG'], categories: ['AI', '检索'] }),
+    createPage('b', { tags: ['LLM', 'RAG'], categories: ['AI', '检索'] }),
+    createPage('c', { tags: ['LLM'], categories: ['AI', '微调'] }),
+    createPage('d', { tags: ['前端'], categories: ['工程'] })
+  ]
+  setRelatedPosts(pages)
+  assert.deepStrictEqual(getPaths(pages[0]), ['/pages/b/', '/pages/c/'])
+  assert.deepStrictEqual(getPaths(pages[3]), [])
+})
+
+test('正文相似的文章相关', () => {
+  const pages = [
+    createPage('a', { content: 'transformer attention attention mechanism' }),
+    createPage('b', { content: 'transformer attention layer' }),
+    createPage('c', { content: 'webpack loader config' }),
+    createPage('d', { content: 'webpack plugin' })
+  ]
+  setRelatedPosts(pages)
+  assert.deepStrictEqual(getPaths(pages[0]), ['/pages/b/'])
+  assert.deepStrictEqual(getPaths(pages[2]), ['/pages/d/'])
+})
+
+test('所有文章都出现的词不产生NaN', () => {
+  // 两篇文章的词完全相同，TF-IDF权重全部为0
+  const pages = [
+    createPage('a', { title: '笔记', content: 'same words', tags: ['LLM'] }),
+    createPage('b', { title: '笔记', content: 'same words', tags: ['LLM'] })
+  ]
+  setRelatedPosts(pages)
+  assert.deepStrictEqual(getPaths(pages[0]), ['/pages/b/'])
+  assert.deepStrictEqual(getPaths(pages[1]), ['/pages/a/'])
+})
+
+test('权重和数量配置', () => {
+  const pages = [
+    createPage('a', { tags: ['LLM'], categories: ['AI'] }),
+    createPage('b', { tags: ['LLM'], categories: ['工程'] }),
+    createPage('c', { tags: ['前端'], categories: ['AI'] })
+  ]
+  setRelatedPosts(pages, { weights: { categories: 2 } })
+  assert.deepStrictEqual(getPaths(pages[0]), ['/pages/c/', '/pages/b/'])
+
+  setRelatedPosts(pages, { count: 1, weights: { categories: 0 } })
+  assert.deepStrictEqual(getPaths(pages[0]), ['/pages/b/'])
+})
+
+test('不同语言的文章互不推荐，草稿和非文章页面不参与', () => {
+  const pages = [
+    createPage('a', { tags: ['LLM'] }),
+    createPage('b', { tags: ['LLM'], regularPath: '/en/b.html' }),
+    createPage('c', { tags: ['LLM'], regularPath: '/en/c.html' }),
+    createPage('d', { tags: ['LLM'] }),
+    createPage('e', { tags: ['LLM'] })
+  ]
+  pages[3].draft = 'draft'
+  pages[4].frontmatter.article = false
+  setRelatedPosts(pages, { locales: [{ path: '/' }, { path: '/en/' }] })
+  assert.deepStrictEqual(getPaths(pages[0]), [])
+  assert.deepStrictEqual(getPaths(pages[1]), ['/pages/c/'])
+  assert.strictEqual(pages[3].relatedPosts, undefined)
+})
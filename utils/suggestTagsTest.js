@@ -0,0 +1,54 @@
+/**
+ * 标签推荐测试
+ * 运行：node --test utils/suggestTagsTest.js
+ */
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const suggestTags = require('../vdoing/node_utils/suggestTags');
+const { parseFrontmatter } = require('../vdoing/node_utils/modules/frontmatter');
+
+// 在临时目录中创建docs，files为 {相对路径: 文件内容}
+function createDocs(files) {
+  const sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vdoing-tags-'))
+  Object.keys(files).forEach(file => {
+    const filePath = path.join(sourceDir, file)
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, files[file])
+  })
+  return sourceDir
+}
+
+const readTags = (sourceDir, file) => parseFrontmatter(fs.readFileSync(path.join(sourceDir, file), 'utf8')).data.tags
+
+test('英文标签只匹配完整的单词', () => {
+  const sourceDir = createDocs({
+    '01.a/01.intro.md': '---\ntitle: intro\ntags:\n  - AI\n---\nai agents and ai tools\n',
+    '01.a/02.training.md': '---\ntitle: training\ntags:\n  - \n---\ntraining training training on storage, training loops\n'
+  })
+  try {
+    suggestTags(sourceDir, 'apply')
+    const tags = readTags(sourceDir, '01.a/02.training.md')
+    assert.ok(tags.includes('training'))
+    assert.ok(!tags.includes('AI'))
+  } finally {
+    fs.rmSync(sourceDir, { recursive: true, force: true })
+  }
+})
+
+test('已有的英文标签作为完整单词出现时仍会推荐', () => {
+  const sourceDir = createDocs({
+    '01.a/01.intro.md': '---\ntitle: intro\ntags:\n  - AI\n  - 检索\n---\nai\n',
+    '01.a/02.post.md': '---\ntitle: post\ntags:\n  - \n---\nAI helps. 检索增强生成需要检索。\n'
+  })
+  try {
+    suggestTags(sourceDir, 'apply')
+    const tags = readTags(sourceDir, '01.a/02.post.md')
+    assert.ok(tags.includes('AI'))
+    assert.ok(tags.includes('检索'))
+  } finally {
+    fs.rmSync(sourceDir, { recursive: true, force: true })
+  }
+})
@@ -7,30 +7,29 @@ Vue.component(CodeBlock)
 Vue.component(CodeGroup)
 
 //  注：此文件在浏览器端运行
-import postsMixin from '@theme/mixins/posts'
+import { installPostStore } from '@theme/util/postStore'
+import { installPageLinks } from '@theme/util/pageLinks'
+import { installLabels } from '@theme/util/labels'
 export default ({
   Vue, // VuePress 正在使用的 Vue 构造函数
   options, // 附加到根实例的一些选项
   router, // 当前应用的路由实例
   siteData // 站点元数据
 }) => {
-  // 修复ISO8601时间格式为普通时间格式，以及添加作者信息
+  // 修复ISO8601时间格式为普通时间格式
   siteData.pages.map(item => {
-    const { frontmatter: { date, author } } = item
+    const { frontmatter: { date } } = item
     if (typeof date === 'string' && date.charAt(date.length - 1) === 'Z') {
       item.frontmatter.date = repairUTCDate(date)
     }
-    if (author) {
-      item.author = author
-    } else {
-      if (siteData.themeConfig.author) {
-        item.author = siteData.themeConfig.author
-      }
-    }
   })
 
-  // 将对文章数据的处理结果混入Vue实例
-  Vue.mixin(postsMixin)
+  // 文章数据在构建时已过滤、排序和分组，所有组件共享同一份只读数据
+  installPostStore(Vue)
+  // 主题生成页面在当前语言下的链接
+  installPageLinks(Vue)
+  // 组件中显示的文字，按当前语言读取
+  installLabels(Vue)
 }
 
 
@@ -1,7 +1,17 @@
 const path = require('path')
 const setFrontmatter = require('./node_utils/setFrontmatter')
 const getSidebarData = require('./node_utils/getSidebarData')
-const { createPage, deletePage } = require('./node_utils/handlePage')
+const suggestTags = require('./node_utils/suggestTags')
+const setRelatedPosts = require('./node_utils/relatedPosts')
+const getPostIndex = require('./node_utils/postIndex')
+const validateFrontmatter = require('./node_utils/validateFrontmatter')
+const { updatePages, updateCataloguePages } = require('./node_utils/handlePage')
+const { getRedirects, writeVercelRedirects, writeRedirectPages } = require('./node_utils/redirects')
+const { getUpdatedDate, getGitUpdatedDates } = require('./node_utils/modules/fileDate')
+const { getDraftStatus } = require('./node_utils/modules/draft')
+const { getLocales, getCategoryText } = require('./node_utils/modules/locales')
+const { type, repairDate, dateFormat } = require('./node_utils/modules/fn')
+const { getSummary, getWordCount } = require('./node_utils/modules/markdownText')
 const chalk = require('chalk') // 命令行打印美化
 const yaml = require('js-yaml') // yaml转js
 const log = console.log
@@ -10,6 +20,12 @@ const log = console.log
 const CARD_LIST = 'cardList'
 const CARD_IMG_LIST = 'cardImgList'
 
+// 自动生成的文章摘要的默认长度(中文字符按2计算)
+const DESCRIPTION_LENGTH = 160
+
+// 默认阅读速度(每分钟)：中日韩文字字数、其他文字单词数、代码行数
+const READING_SPEED = { cjk: 300, latin: 200, code: 30 }
+
 // siteConfig base 配置
 let base = ''
 
@@ -21,44 +37,39 @@ module.exports = (options, ctx) => {
   // base路径
   base = siteConfig.base || ''
 
+  // 多语言，每个locale对应docs下的同名目录(根locale为docs)
+  const locales = getLocales(siteConfig, sourceDir)
+
   // 自动设置front matter
-  setFrontmatter(sourceDir, themeConfig)
+  setFrontmatter(sourceDir, themeConfig, locales)
 
-  // 自动生成结构化侧边栏
-  const sidebar = themeConfig.sidebar
-  if (sidebar === 'structuring' || sidebar && sidebar.mode === 'structuring') {
-    const collapsable = themeConfig.sidebar.collapsable === false ? false : true
-    const sidebarData = getSidebarData(sourceDir, collapsable)
-    if (sidebarData) {
-      themeConfig.sidebar = sidebarData
-      log(chalk.blue('tip ') + chalk.green('add sidebar data. 成功生成侧边栏数据。'))
-    } else {
-      themeConfig.sidebar = 'auto'
-      log(chalk.yellow('warning: fail to add sidebar data, switch to "auto". 未能添加侧边栏数据，将切换为“auto”。'))
-    }
+  // 校验front matter
+  if (themeConfig.frontmatterSchema) {
+    validateFrontmatter(sourceDir, themeConfig.frontmatterSchema)
   }
 
-  // 分类页
-  if (themeConfig.category !== false) {
-    createPage(sourceDir, 'categoriesPage')
-  } else {
-    deletePage(sourceDir, 'categoriesPage')
+  // 根据文章内容推荐标签
+  if (themeConfig.tagSuggestion) {
+    suggestTags(sourceDir, themeConfig.tagSuggestion, themeConfig.autoFrontmatter)
   }
 
-  // 标签页
-  if (themeConfig.tag !== false) {
-    createPage(sourceDir, 'tagsPage')
-  } else {
-    deletePage(sourceDir, 'tagsPage')
+  // 旧链接重定向
+  const redirectsMode = themeConfig.redirects
+  const redirects = redirectsMode ? getRedirects(sourceDir) : []
+  if (redirectsMode === 'vercel') {
+    writeVercelRedirects(sourceDir, redirects, base || '/')
   }
 
-  // 归档页
-  if (themeConfig.archive !== false) {
-    createPage(sourceDir, 'archivesPage')
-  } else {
-    deletePage(sourceDir, 'archivesPage')
+  // 自动生成结构化侧边栏(开发环境下新增、重命名和删除md文件后，VuePress会重新加载主题，frontmatter和侧边栏随之重新生成)
+  const sidebarOption = themeConfig.sidebar
+  const isStructuring = sidebarOption === 'structuring' || sidebarOption && sidebarOption.mode === 'structuring'
+  if (isStructuring) {
+    setSidebarData(ctx, sidebarOption, locales)
   }
 
+  // 生成分类页、标签页、归档页等，各页面的链接供前端使用
+  themeConfig.pageLinks = updatePages(sourceDir, themeConfig, locales)
+
   // resolve algolia
   const isAlgoliaSearch = (
     themeConfig.algolia
@@ -69,7 +80,108 @@ module.exports = (options, ctx) => {
 
   const enableSmoothScroll = themeConfig.smoothScroll === true
 
+  const autoDescription = themeConfig.autoDescription === false ? false : (themeConfig.autoDescription || {})
+
+  const readingSpeed = themeConfig.readingTime === false ? false : { ...READING_SPEED, ...themeConfig.readingTime }
+
+  const relatedPosts = themeConfig.relatedPosts === false ? false : (themeConfig.relatedPosts || {})
+
+  let postIndex = {}
+
+  let gitDates = null // 所有md文件最后一次git提交的时间，在第一个页面需要时一次读取
+
   return {
+    extendPageData($page) {
+      const { _filePath, _strippedContent, frontmatter } = $page
+      const isArticle = !(frontmatter.pageComponent || frontmatter.article === false || frontmatter.home === true)
+
+      // 开启_posts侧边栏时，忽略之前自动生成的 sidebar: auto
+      if (isStructuring && sidebarOption.posts && frontmatter.sidebar === 'auto' && /^_posts\//.test($page.relativePath)) {
+        delete frontmatter.sidebar
+      }
+
+      // 非根语言的永久链接已包含语言路径(如 /en/pages/xxx/)，直接使用，避免VuePress再次添加语言路径前缀
+      const { _localePath } = $page
+      if (_localePath && _localePath !== '/' && type(frontmatter.permalink) === 'string' && frontmatter.permalink.indexOf(_localePath) === 0) {
+        $page._permalink = frontmatter.permalink
+      }
+
+      // 草稿和定时发布：生产环境构建时移除，开发环境显示“草稿”标记
+      const draft = getDraftStatus(frontmatter)
+      if (draft) {
+        $page.draft = draft
+      }
+
+      // 文章的最后更新时间，取自最后一次修改该文件的git提交(frontmatter中的updated优先)
+      if (frontmatter.updated) {
+        $page.updated = type(frontmatter.updated) === 'date' ? repairDate(frontmatter.updated) : String(frontmatter.updated)
+      } else if (_filePath && frontmatter.article !== false) {
+        gitDates = gitDates || getGitUpdatedDates(sourceDir)
+        $page.updated = dateFormat(getUpdatedDate(_filePath, gitDates).date)
+      }
+
+      // 文章摘要，用于<meta name="description">和文章列表(frontmatter中的description优先)
+      if (autoDescription && isArticle && !frontmatter.description && _strippedContent) {
+        const description = getSummary(_strippedContent, autoDescription.length || DESCRIPTION_LENGTH)
+        if (description) {
+          frontmatter.description = description
+        }
+      }
+
+      // 字数和预计阅读时间
+      if (readingSpeed && isArticle && _strippedContent) {
+        const { cjk, latin, codeLines } = getWordCount(_strippedContent)
+        const minutes = cjk / readingSpeed.cjk + latin / readingSpeed.latin + codeLines / readingSpeed.code
+        $page.readingTime = {
+          words: cjk + latin,
+          codeLines,
+          minutes: Math.max(1, Math.round(minutes))
+        }
+      }
+    },
+
+    ready() {
+      if (ctx.isProd) {
+        const drafts = ctx.pages.filter(page => page.draft)
+        drafts.forEach(page => ctx.pages.splice(ctx.pages.indexOf(page), 1))
+        if (drafts.length) {
+          log(chalk.blue('tip ') + chalk.green(`skip drafts(跳过草稿和未到发布时间的文章)：${drafts.length} 篇`))
+        }
+      }
+
+      // 文章索引(过滤、排序、分组和计数)，同时规范化所有页面的标签和作者
+      postIndex = getPostIndex(ctx.pages, { locales, themeConfig, showDrafts: !ctx.isProd })
+
+      // 相关文章，在所有页面数据准备好之后计算
+      if (relatedPosts) {
+        setRelatedPosts(ctx.pages, { ...relatedPosts, locales })
+      }
+    },
+
+    // 文章索引作为 @dynamic/postIndex 模块供前端使用(见 util/postStore.js)
+    clientDynamicModules() {
+      return {
+        name: 'postIndex.js',
+        content: `export default ${JSON.stringify(postIndex)}`
+      }
+    },
+
+    generated() {
+      if (redirectsMode === 'html') {
+        writeRedirectPages(ctx.outDir, redirects, base || '/')
+      }
+    },
+
+    // util/shared.js 是前端与node端共用的CommonJS模块，babel按有无import/export判断模块类型，避免注入的import与module.exports混用
+    chainWebpack(config) {
+      if (config.module.rules.has('js')) { // 开启evergreen时不使用babel
+        config.module
+          .rule('js')
+          .use('babel-loader')
+          .tap(options => ({ ...options, sourceType: 'unambiguous' }))
+      }
+    },
+
     alias() {
       return {
         '@AlgoliaSearchBox': isAlgoliaSearch
@@ -172,6 +284,45 @@ module.exports = (options, ctx) => {
 }
 
 
+// 按locale生成结构化侧边栏数据，根locale写入themeConfig.sidebar，其他写入themeConfig.locales[<locale路径>].sidebar，失败时切换为auto
+// 开启autoCatalogue时给没有目录页的一级目录生成目录页
+function setSidebarData(ctx, sidebarOption, locales) {
+  const { sourceDir, themeConfig } = ctx
+  const collapsable = sidebarOption.collapsable === false ? false : true
+  const { autoCatalogue } = themeConfig
+  const catalogueExclude = (autoCatalogue && autoCatalogue.exclude) || []
+  locales.forEach(locale => {
+    const sidebarData = getSidebarData(sourceDir, {
+      collapsable,
+      includeDrafts: !ctx.isProd,
+      posts: sidebarOption.posts,
+      categoryText: getCategoryText(themeConfig, locale),
+      localePath: locale.path,
+      excludeDirs: locale.path === '/' ? locales.slice(1).map(item => item.path.split('/')[1]) : [] // 其他locale的目录
+    })
+
+    let localeConfig = themeConfig
+    if (locale.path !== '/') {
+      themeConfig.locales = themeConfig.locales || {}
+      localeConfig = themeConfig.locales[locale.path] = themeConfig.locales[locale.path] || {}
+    }
+    if (sidebarData) {
+      const cataloguePermalinks = Object.values(sidebarData.catalogue)
+      const catalogueDirs = !autoCatalogue ? [] : Object.keys(sidebarData)
+        .filter(key => key !== 'catalogue')
+        .filter(key => !sidebarData[key].every(item => Array.isArray(item) && cataloguePermalinks.includes(item[2]))) // 存放目录页的目录
+        .map(key => key.slice(locale.path.length, -1)) // '/en/01.Basics/' => '01.Basics'
+        .filter(dir => dir !== '_posts' && !sidebarData.catalogue[dir] && !catalogueExclude.includes(dir))
+      Object.assign(sidebarData.catalogue, updateCataloguePages(sourceDir, catalogueDirs, locale))
+      localeConfig.sidebar = sidebarData
+      log(chalk.blue('tip ') + chalk.green(`add sidebar data${locale.path !== '/' ? ` (${locale.path})` : ''}. 成功生成侧边栏数据。`))
+    } else {
+      localeConfig.sidebar = 'auto'
+      log(chalk.yellow('warning: fail to add sidebar data, switch to "auto". 未能添加侧边栏数据，将切换为“auto”。'))
+    }
+  })
+}
+
 // 渲染md容器的卡片列表
 function renderCardList(tokens, idx, type) {
   const END_TYPE = `container_${type}_close`,
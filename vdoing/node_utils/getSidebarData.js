@@ -1,38 +1,52 @@
 const fs = require('fs'); // 文件模块
 const path = require('path'); // 路径模块
 const chalk = require('chalk') // 命令行打印美化
-const matter = require('gray-matter'); // front matter解析器
+const { readDoc } = require('./modules/scanDocs'); // 共用的md文件解析(带缓存)
+const { getDraftStatus } = require('./modules/draft');
+const getCategories = require('./modules/getCategories');
+const { type, repairDate } = require('./modules/fn');
+const { DIR_INDEX_FILE, readDirIndex } = require('./modules/dirIndex');
 const log = console.log
 
-let catalogueData = {}; // 目录页数据
-
 /**
  * 生成侧边栏数据
  * @param {String} sourceDir .md文件所在源目录(一般是docs目录)
- * @param {Boolean} collapsable  是否可折叠
+ * @param {Object} options
+ * @param {Boolean} options.collapsable 是否可折叠
+ * @param {Boolean} options.includeDrafts 是否包含草稿和未到发布时间的文章(开发环境)
+ * @param {String} options.posts 碎片化文章(_posts)侧边栏的分组方式 false | 'date' | 'category' | 'folder'
+ * @param {String} options.categoryText 碎片化文章的默认分类名
+ * @param {String} options.localePath 生成哪个locale的侧边栏，非根locale读取docs下的同名目录，侧边栏的键也以其为前缀
+ * @param {Array} options.excludeDirs 不生成侧边栏的目录名(根locale需排除其他locale的目录)
+ * @returns {Object} {'/<目录>/': [侧边栏数据], catalogue: {'<目录路径>': '<目录页永久链接>'}}，目录路径相对于locale目录，如 '01.基础知识/01.子目录'
  */
-function createSidebarData(sourceDir, collapsable) {
+function createSidebarData(sourceDir, { collapsable = true, includeDrafts = false, posts = false, categoryText, localePath = '/', excludeDirs = [] } = {}) {
   const sidebarData = {};
-  const tocs = readTocs(sourceDir);
+  const catalogue = {}; // 目录页数据，每次生成都是新的对象
+  const tocs = readTocs(path.join(sourceDir, localePath)).filter(toc => !excludeDirs.includes(path.basename(toc)));
   tocs.forEach(toc => { // toc是每个目录的绝对路径
 
     if (toc.substr(-6) === '_posts') { // 碎片化文章
 
-      // 注释说明：碎片化文章不需要生成结构化侧边栏 2020.05.01
-      // const sidebarArr = mapTocToPostSidebar(toc);
-      // sidebarData[`/${path.basename(toc)}/`] = sidebarArr
+      // 碎片化文章默认不生成侧边栏(使用sidebar: auto)，可通过sidebar.posts配置分组方式
+      if (posts) {
+        const sidebarArr = mapTocToPostSidebar(sourceDir, toc, { mode: posts, categoryText, collapsable, includeDrafts });
+        if (sidebarArr.length) {
+          sidebarData[`${localePath}${path.basename(toc)}/`] = sidebarArr
+        }
+      }
 
     } else {
-      const sidebarObj = mapTocToSidebar(toc, collapsable);
-      if (!sidebarObj.sidebar.length) {
+      const sidebar = mapTocToSidebar(sourceDir, toc, { collapsable, includeDrafts, catalogue });
+      if (!sidebar.length) {
         log(chalk.yellow(`warning: 该目录 "${toc}" 内部没有任何文件或文件序号出错，将忽略生成对应侧边栏`))
         return;
       }
-      sidebarData[`/${path.basename(toc)}/`] = sidebarObj.sidebar
-      sidebarData.catalogue = sidebarObj.catalogueData
+      sidebarData[`${localePath}${path.basename(toc)}/`] = sidebar
     }
   })
 
+  sidebarData.catalogue = catalogue
   return sidebarData
 }
 
@@ -57,129 +71,222 @@ function readTocs(root) {
 
 
 /**
- * 将碎片化文章目录(_posts)映射为对应的侧边栏配置数据
+ * 将碎片化文章目录(_posts)映射为对应的侧边栏配置数据，支持多级子目录
+ * @param {String} sourceDir
  * @param {String} root
+ * @param {Object} options {mode: 'date' 按年月分组 | 'category' 按分类分组 | 'folder' 按子目录分组, categoryText, collapsable, includeDrafts}
  */
-function mapTocToPostSidebar(root) {
-  let postSidebar = [] // 碎片化文章数据
-  const files = fs.readdirSync(root); // 读取目录（文件和文件夹）,返回数组
+function mapTocToPostSidebar(sourceDir, root, { mode, categoryText = '随笔', collapsable, includeDrafts }) {
+  const posts = readPosts(sourceDir, root, '', includeDrafts)
+    .sort((a, b) => b.date.localeCompare(a.date)) // 新的文章在前
 
-  files.forEach(filename => {
-    const file = path.resolve(root, filename); // 方法：将路径或路径片段的序列解析为绝对路径
-    const stat = fs.statSync(file); // 文件信息
+  let getKeys = null // 文章所在分组的标题路径
+  if (mode === 'date') {
+    getKeys = post => post.date ? [`${post.date.slice(0, 4)}年`, `${post.date.slice(5, 7)}月`] : []
+  } else if (mode === 'category') {
+    getKeys = post => {
+      const categories = type(post.data.categories) === 'array' ? post.data.categories.filter(Boolean).map(String) : []
+      return categories.length ? categories : getCategories(post, categoryText)
+    }
+  } else if (mode === 'folder') {
+    getKeys = post => post.folders
+  } else {
+    log(chalk.yellow(`warning: 未知的碎片化文章侧边栏分组方式 "${mode}"，可选值为 'date' | 'category' | 'folder'`))
+    return []
+  }
+
+  const tree = { children: [] }
+  posts.forEach(post => {
+    let node = tree
+    getKeys(post).forEach(title => {
+      let group = node.children.find(child => !Array.isArray(child) && child.title === title)
+      if (!group) {
+        group = { title, collapsable, children: [] }
+        node.children.push(group)
+      }
+      node = group
+    })
+    node.children.push(post.item)
+  })
+  return tree.children
+}
 
-    const fileNameArr = filename.split('.');
-    if (fileNameArr.length > 2) {
-      log(chalk.yellow(`warning: 该文件 "${file}" 在_posts文件夹中，不应有序号，且文件名中间不应有'.'`))
+// 递归读取碎片化文章
+function readPosts(sourceDir, root, prefix, includeDrafts, posts = []) {
+  fs.readdirSync(root).forEach(filename => {
+    const file = path.resolve(root, filename)
+    if (fs.statSync(file).isDirectory()) {
+      readPosts(sourceDir, file, prefix + filename + '/', includeDrafts, posts)
       return
     }
-    if (stat.isDirectory()) { // 是文件夹目录
-      // log(chalk.yellow(`warning: 该目录 "${file}" 内文件无法生成侧边栏，_posts文件夹里面不能有二级目录。`))
+    if (path.extname(filename) !== '.md') {
       return
     }
 
-    let [title, type] = filename.split('.');
-    if (type !== 'md') {
-      log(chalk.yellow(`warning: 该文件 "${file}" 非.md格式文件，不支持该文件类型`))
-      return;
-    }
-
-    const contentStr = fs.readFileSync(file, 'utf8') // 读取md文件内容，返回字符串
-    const { data } = matter(contentStr, {}) // 解析出front matter数据
-    const { permalink = '', titleTag = '' } = data || {}
-    if (data.title) {
-      title = data.title
-    }
-    const item = [filename, title, permalink]
-    if (titleTag) {
-      item.push(titleTag)
+    const { data } = readDoc(sourceDir, file) // 解析出front matter数据
+    if (!includeDrafts && getDraftStatus(data)) {
+      return
     }
-    postSidebar.push(item);  // [<路径>, <标题>, <永久链接>, <?标题标签>]
+    const { permalink = '', titleTag = '', date = '' } = data
+    const item = [prefix + filename, data.title || path.basename(filename, '.md'), permalink]
+    if (titleTag) item.push(titleTag)
+    posts.push({
+      filePath: file,
+      data,
+      date: type(date) === 'date' ? repairDate(date) : String(date),
+      folders: prefix.split('/').filter(Boolean),
+      item // [<路径>, <标题>, <永久链接>, <?标题标签>]
+    })
   })
-
-  return postSidebar
+  return posts
 }
 
 
 /**
  * 将目录映射为对应的侧边栏配置数据
+ * 排序依据：frontmatter或目录索引文件(_index.yml)中的order > 文件名序号，都没有的排在最后并按名称排序
+ * 分组带有 key(目录路径) 和 description(目录索引文件中的描述)，供目录页使用
+ * @param {String} sourceDir
  * @param {String} root
- * @param {Boolean} collapsable
- * @param {String} prefix
+ * @param {Object} options {collapsable, includeDrafts, catalogue 收集目录页永久链接的对象}
+ * @param {String} prefix 侧边栏路径的前缀
+ * @param {String} dirKey 当前目录相对于locale目录的路径
  */
 
-function mapTocToSidebar(root, collapsable, prefix = '') {
-  let sidebar = []; // 结构化文章侧边栏数据
+function mapTocToSidebar(sourceDir, root, { collapsable, includeDrafts = false, catalogue }, prefix = '', dirKey = path.basename(root)) {
+  const entries = []; // [{order, file, item}]
   const files = fs.readdirSync(root); // 读取目录（文件和文件夹）,返回数组
 
   files.forEach(filename => {
     const file = path.resolve(root, filename); // 方法：将路径或路径片段的序列解析为绝对路径
     const stat = fs.statSync(file); // 文件信息
-    if (filename === '.DS_Store') { // 过滤.DS_Store文件
+    if (filename === '.DS_Store' || filename === DIR_INDEX_FILE) { // 过滤.DS_Store文件和目录索引文件
       return
     }
-    // let [order, title, type] = filename.split('.');
 
-    const fileNameArr = filename.split('.')
     const isDir = stat.isDirectory()
-    let order = '', title = '', type = '';
-    if (fileNameArr.length === 2) {
-      order = fileNameArr[0];
-      title = fileNameArr[1];
-    } else {
-      const firstDotIndex = filename.indexOf('.');
-      const lastDotIndex = filename.lastIndexOf('.');
-      order = filename.substring(0, firstDotIndex);
-      type = filename.substring(lastDotIndex + 1);
-      if (isDir) {
-        title = filename.substring(firstDotIndex + 1);
-      } else {
-        title = filename.substring(firstDotIndex + 1, lastDotIndex);
-      }
-    }
+    let { order, title, type } = parseFileName(filename, isDir)
 
-    order = parseInt(order, 10);
-    if (isNaN(order) || order < 0) {
-      log(chalk.yellow(`warning: 该文件 "${file}" 序号出错，请填写正确的序号`))
-      return;
-    }
-    if (sidebar[order]) { // 判断序号是否已经存在
-      log(chalk.yellow(`warning: 该文件 "${file}" 的序号在同一级别中重复出现，将会被覆盖`))
-    }
     if (isDir) { // 是文件夹目录
-      sidebar[order] = {
+      const dirIndex = readDirIndex(file)
+      if (dirIndex.order !== undefined) {
+        order = getOrder(dirIndex.order, path.join(file, DIR_INDEX_FILE), order)
+      }
+      const key = `${dirKey}/${filename}`
+      const item = {
         title,
+        key,
         collapsable, // 是否可折叠，默认true
-        children: mapTocToSidebar(file, collapsable, prefix + filename + '/').sidebar // 子栏路径添加前缀
+        children: mapTocToSidebar(sourceDir, file, { collapsable, includeDrafts, catalogue }, prefix + filename + '/', key) // 子栏路径添加前缀
       }
+      if (dirIndex.description) {
+        item.description = String(dirIndex.description)
+      }
+      entries.push({ order, file, item })
     } else { // 是文件
       if (type !== 'md') {
         log(chalk.yellow(`warning: 该文件 "${file}" 非.md格式文件，不支持该文件类型`))
         return;
       }
-      const contentStr = fs.readFileSync(file, 'utf8') // 读取md文件内容，返回字符串
-      const { data } = matter(contentStr, {}) // 解析出front matter数据
+      const { data } = readDoc(sourceDir, file) // 解析出front matter数据
       const { permalink = '', titleTag = '' } = data || {}
 
-      // 目录页对应的永久链接，用于给面包屑提供链接
+      // 草稿和未到发布时间的文章只在开发环境显示
+      if (!includeDrafts && getDraftStatus(data)) {
+        return
+      }
+
+      // 目录页对应的永久链接，按目录页所展示的目录路径(pageComponent.data.path)记录，用于给面包屑提供链接
       const { pageComponent } = data
       if (pageComponent && pageComponent.name === "Catalogue") {
-        catalogueData[title] = permalink
+        addCatalogue(catalogue, pageComponent.data, permalink, file)
       }
 
+      if (data.order !== undefined) {
+        order = getOrder(data.order, file, order)
+      }
       if (data.title) {
         title = data.title
       }
       const item = [prefix + filename, title, permalink]
       if (titleTag) item.push(titleTag)
-      sidebar[order] = item;  // [<路径>, <标题>, <永久链接>, <?标题标签>]
-
+      entries.push({ order, file, item });  // [<路径>, <标题>, <永久链接>, <?标题标签>]
     }
   })
 
-  sidebar = sidebar.filter(item => item !== null && item !== undefined);
+  return sortEntries(entries);
+}
+
+// 记录目录页，同一目录有多个目录页时使用第一个
+function addCatalogue(catalogue, data, permalink, file) {
+  const key = String((data && (data.path || data.key)) || '').replace(/^\/+|\/+$/g, '')
+  if (!key || !permalink) {
+    return
+  }
+  if (catalogue[key] && catalogue[key] !== permalink) {
+    log(chalk.yellow(`warning: 目录 "${key}" 已有目录页 "${catalogue[key]}"，将忽略 "${file}"`))
+    return
+  }
+  catalogue[key] = permalink
+}
+
+/**
+ * 解析文件名中的序号和标题，如 "01.标题.md"、"01.目录"，没有序号时 order 为 undefined
+ * @param {String} filename
+ * @param {Boolean} isDir
+ */
+function parseFileName(filename, isDir) {
+  const lastDotIndex = isDir ? filename.length : filename.lastIndexOf('.')
+  const type = isDir ? '' : filename.substring(lastDotIndex + 1)
+  const name = lastDotIndex === -1 ? filename : filename.substring(0, lastDotIndex)
+  const firstDotIndex = name.indexOf('.')
+  if (firstDotIndex === -1) { // 没有序号
+    return { order: undefined, title: name, type }
+  }
+  const order = parseInt(name.substring(0, firstDotIndex), 10)
   return {
-    sidebar,
-    catalogueData
-  };
+    order: isNaN(order) || order < 0 ? undefined : order,
+    title: name.substring(firstDotIndex + 1),
+    type
+  }
+}
+
+// 校验order字段，无效时使用文件名中的序号
+function getOrder(value, file, fallback) {
+  if (typeof value === 'number' && isFinite(value)) {
+    return value
+  }
+  log(chalk.yellow(`warning: 该文件 "${file}" 的order应为数字，将使用文件名中的序号`))
+  return fallback
+}
+
+// 按序号排序，序号重复时给出提示并全部保留
+function sortEntries(entries) {
+  const byOrder = new Map()
+  entries.forEach(entry => {
+    if (entry.order === undefined) return
+    if (!byOrder.has(entry.order)) {
+      byOrder.set(entry.order, [])
+    }
+    byOrder.get(entry.order).push(entry.file)
+  })
+  byOrder.forEach((files, order) => {
+    if (files.length > 1) {
+      log(chalk.yellow(`warning: 以下文件的序号 ${order} 在同一级别中重复，将按文件名排序：${files.map(p => '\n  - ' + p).join('')}`))
+    }
+  })
+
+  return entries
+    .sort((a, b) => {
+      const aHasOrder = a.order !== undefined
+      const bHasOrder = b.order !== undefined
+      if (aHasOrder && bHasOrder && a.order !== b.order) {
+        return a.order - b.order
+      }
+      if (aHasOrder !== bHasOrder) {
+        return aHasOrder ? -1 : 1
+      }
+      return path.basename(a.file).localeCompare(path.basename(b.file), 'zh')
+    })
+    .map(entry => entry.item)
 }
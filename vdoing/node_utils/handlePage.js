@@ -2,59 +2,110 @@
 
 const fs = require('fs'); // 文件模块
 const path = require('path'); // 路径模块
+const crypto = require('crypto');
 const chalk = require('chalk') // 命令行打印美化
+const YAML = require('yaml');
 const { type } = require('./modules/fn');
+const { readDirIndex } = require('./modules/dirIndex');
 const log = console.log
 
-function createPage (sourceDir, page) {
-  const dirPath = path.join(sourceDir, '@pages') // 生成的文件夹路径
+const CATALOGUE_DIR = 'catalogue' // 自动生成的目录页所在的文件夹(位于@pages下)
 
-  // 文件夹不存在时
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath) // 创建文件夹
-  }
+// 生成的页面类型，可通过registerPage添加
+const PAGE_TYPES = {}
+
+/**
+ * 注册生成的页面类型
+ * @param {String} page 页面名称，同时是页面frontmatter中的标识字段，如 categoriesPage
+ * @param {Object} options
+ * @param {Array} options.titles 默认标题 [中文, 其他语言]
+ * @param {String} options.permalink 默认永久链接(不含locale路径)，如 'categories/'
+ * @param {Function} options.enabled (themeConfig) => Boolean 是否生成该页面
+ */
+function registerPage (page, { titles, permalink, enabled = () => true }) {
+  PAGE_TYPES[page] = { titles, permalink, enabled }
+}
+
+registerPage('categoriesPage', { titles: ['分类', 'Categories'], permalink: 'categories/', enabled: themeConfig => themeConfig.category !== false })
+registerPage('tagsPage', { titles: ['标签', 'Tags'], permalink: 'tags/', enabled: themeConfig => themeConfig.tag !== false })
+registerPage('archivesPage', { titles: ['归档', 'Archives'], permalink: 'archives/', enabled: themeConfig => themeConfig.archive !== false })
+registerPage('seriesPage', { titles: ['系列', 'Series'], permalink: 'series/', enabled: themeConfig => themeConfig.series !== false })
+registerPage('authorsPage', { titles: ['作者', 'Authors'], permalink: 'authors/', enabled: themeConfig => themeConfig.authorsPage !== false })
 
+/**
+ * 按主题配置生成或删除所有已注册的页面
+ * 页面的标题、永久链接和额外的frontmatter可在themeConfig.pages中配置，设置为false时不生成该页面
+ * @param {String} sourceDir .md文件所在源目录(一般是docs目录)
+ * @param {Object} themeConfig 主题配置
+ * @param {Array} locales 多语言 getLocales的返回值
+ * @returns {Object} 各locale生成的页面链接 {'<locale路径>': {'<页面名称>': permalink}}
+ */
+function updatePages (sourceDir, themeConfig, locales = [{ path: '/', lang: 'zh-CN' }]) {
+  const pageLinks = {}
+  locales.forEach(locale => {
+    pageLinks[locale.path] = {}
+    Object.keys(PAGE_TYPES).forEach(page => {
+      const pageConfig = (themeConfig.pages || {})[page]
+      if (pageConfig === false || !PAGE_TYPES[page].enabled(themeConfig)) {
+        deletePage(sourceDir, page, locale)
+        return
+      }
+      pageLinks[locale.path][page] = createPage(sourceDir, page, locale, pageConfig)
+    })
+  })
+  return pageLinks
+}
+
+/**
+ * 生成页面，已存在的页面与配置不一致时更新
+ * @param {String} sourceDir .md文件所在源目录(一般是docs目录)
+ * @param {String} page 已注册的页面名称，如 categoriesPage
+ * @param {Object} locale 多语言 {path, lang}，非根locale的页面生成在对应目录下，永久链接以locale路径为前缀
+ * @param {Object} pageConfig 页面配置 {title, permalink, frontmatter, locales: {'<locale路径>': {title, permalink, frontmatter}}}
+ * @returns {String} 页面的永久链接
+ */
+function createPage (sourceDir, page, locale = { path: '/', lang: 'zh-CN' }, pageConfig = {}) {
+  const dirPath = path.join(sourceDir, locale.path, '@pages') // 生成的文件夹路径
   const pagePath = path.join(dirPath, `${page}.md`) // 生成的文件路径
+  const { titles, permalink: defaultPermalink } = PAGE_TYPES[page]
+  const localeConfig = locale.path !== '/' && pageConfig.locales ? pageConfig.locales[locale.path] || {} : {}
 
-  // 文件已经存在时跳出
-  if (fs.existsSync(pagePath)) {
-    return
+  const title = localeConfig.title
+    || (locale.path === '/' && pageConfig.title)
+    || (/^zh/i.test(locale.lang) ? titles[0] : titles[1])
+  let permalink = localeConfig.permalink || (pageConfig.permalink ? pageConfig.permalink.replace(/^\//, '') : defaultPermalink)
+  if (!localeConfig.permalink) {
+    permalink = locale.path + permalink // 根locale的配置在其他locale中添加locale路径前缀
   }
 
-  // 注意：反引号字符串的格式会映射到文件
-  let content = ''
-  if (page.indexOf('categories') > -1) {
-    content = `---
-categoriesPage: true
-title: 分类
-permalink: /categories/
-article: false
----`
-  } else if (page.indexOf('tags') > -1) {
-    content = `---
-tagsPage: true
-title: 标签
-permalink: /tags/
-article: false
----`
-  } else if (page.indexOf('archives') > -1) {
-    content = `---
-archivesPage: true
-title: 归档
-permalink: /archives/
-article: false
----`
+  const data = {
+    [page]: true,
+    title,
+    permalink,
+    article: false,
+    ...pageConfig.frontmatter,
+    ...localeConfig.frontmatter,
+    [page]: true // 页面标识字段不可被覆盖
   }
+  const content = `---\n${YAML.stringify(data)}---`
 
-  if (content) {
-    fs.writeFileSync(pagePath, content)
-    log(chalk.blue('tip ') + chalk.green(`create page(生成页面): ${pagePath}`))
+  const exists = fs.existsSync(pagePath)
+  if (exists && fs.readFileSync(pagePath, 'utf8') === content) {
+    return permalink
+  }
+
+  // 文件夹不存在时
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath) // 创建文件夹
   }
+  fs.writeFileSync(pagePath, content)
+  log(chalk.blue('tip ') + chalk.green(`${exists ? 'update' : 'create'} page(${exists ? '更新' : '生成'}页面): ${pagePath}`))
+  return permalink
 }
 
 // 删除页面文件
-function deletePage (sourceDir, page) {
-  const dirPath = path.join(sourceDir, '@pages') // 文件夹路径
+function deletePage (sourceDir, page, locale = { path: '/' }) {
+  const dirPath = path.join(sourceDir, locale.path, '@pages') // 文件夹路径
   const pagePath = path.join(dirPath, `${page}.md`) // 文件路径
 
   // 文件是否存在
@@ -65,6 +116,61 @@ function deletePage (sourceDir, page) {
   deleteDir(dirPath)
 }
 
+/**
+ * 给没有目录页的一级目录自动生成目录页，并删除不再需要的自动目录页
+ * @param {String} sourceDir .md文件所在源目录(一般是docs目录)
+ * @param {Array} dirs 需要生成目录页的一级目录名，如 ['01.基础知识']
+ * @param {Object} locale 多语言 {path, lang}
+ * @returns {Object} {'<目录名>': '<目录页永久链接>'}
+ */
+function updateCataloguePages (sourceDir, dirs, locale = { path: '/' }) {
+  const pagesPath = path.join(sourceDir, locale.path, '@pages')
+  const dirPath = path.join(pagesPath, CATALOGUE_DIR)
+  const catalogue = {}
+  const pageFiles = []
+
+  dirs.forEach(dir => {
+    const { description } = readDirIndex(path.join(sourceDir, locale.path, dir))
+    const firstDotIndex = dir.indexOf('.')
+    const hash = crypto.createHash('md5').update(`${locale.path}${dir}`).digest('hex').slice(0, 6)
+    const permalink = `${locale.path}${CATALOGUE_DIR}/${hash}/`
+    const data = { path: dir }
+    if (description) {
+      data.description = String(description)
+    }
+    const content = `---\n${YAML.stringify({
+      pageComponent: { name: 'Catalogue', data },
+      title: firstDotIndex > -1 && /^\d+$/.test(dir.slice(0, firstDotIndex)) ? dir.slice(firstDotIndex + 1) : dir,
+      permalink,
+      sidebar: false,
+      article: false,
+      comment: false,
+      editLink: false
+    })}---\n`
+
+    const pagePath = path.join(dirPath, `${dir}.md`)
+    pageFiles.push(`${dir}.md`)
+    catalogue[dir] = permalink
+    if (fs.existsSync(pagePath) && fs.readFileSync(pagePath, 'utf8') === content) {
+      return
+    }
+    fs.mkdirSync(dirPath, { recursive: true })
+    fs.writeFileSync(pagePath, content)
+    log(chalk.blue('tip ') + chalk.green(`create page(生成页面): ${pagePath}`))
+  })
+
+  // 删除已有目录页或已不存在的目录的自动目录页
+  if (fs.existsSync(dirPath)) {
+    fs.readdirSync(dirPath).filter(name => !pageFiles.includes(name)).forEach(name => {
+      fs.unlinkSync(path.join(dirPath, name))
+      log(chalk.blue('tip ') + chalk.green(`delete page(删除页面): ${path.join(dirPath, name)}`))
+    })
+    deleteDir(dirPath)
+    deleteDir(pagesPath)
+  }
+  return catalogue
+}
+
 // 删除文件夹
 function deleteDir (dirPath) {
   if (fs.existsSync(dirPath)) {
@@ -77,6 +183,9 @@ function deleteDir (dirPath) {
 }
 
 module.exports = {
+  registerPage,
+  updatePages,
   createPage,
-  deletePage
+  deletePage,
+  updateCataloguePages
 }
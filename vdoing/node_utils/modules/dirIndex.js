@@ -0,0 +1,33 @@
+/**
+ * 目录索引文件(_index.yml)，可设置目录的 order(排序) 和 description(目录页中的描述)
+ */
+const fs = require('fs'); // 文件模块
+const path = require('path'); // 路径模块
+const chalk = require('chalk') // 命令行打印美化
+const YAML = require('yaml');
+const log = console.log
+
+const DIR_INDEX_FILE = '_index.yml'
+
+/**
+ * 读取目录索引文件，不存在或解析失败时返回空对象
+ * @param {String} dir 目录的绝对路径
+ * @returns {Object} {order, description}
+ */
+function readDirIndex(dir) {
+  const indexPath = path.join(dir, DIR_INDEX_FILE)
+  if (!fs.existsSync(indexPath)) {
+    return {}
+  }
+  try {
+    return YAML.parse(fs.readFileSync(indexPath, 'utf8')) || {}
+  } catch (err) {
+    log(chalk.yellow(`warning: 目录索引文件 "${indexPath}" 解析失败：${err.message}`))
+    return {}
+  }
+}
+
+module.exports = {
+  DIR_INDEX_FILE,
+  readDirIndex
+}
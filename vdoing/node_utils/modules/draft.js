@@ -0,0 +1,25 @@
+/**
+ * 草稿和定时发布
+ */
+const { parseDate } = require('../../util/shared')
+
+/**
+ * 获取文章的发布状态
+ * @param {Object} data frontmatter数据，publishDate 为发布时间，未设置时取 date
+ * @param {Date} now 当前时间
+ * @returns {String|null} 'draft' 草稿 | 'scheduled' 发布时间在未来 | null 已发布
+ */
+function getDraftStatus(data = {}, now = new Date()) {
+  if (data.draft === true) {
+    return 'draft'
+  }
+  const publishDate = data.publishDate || data.date
+  if (publishDate && parseDate(publishDate) > now.getTime()) {
+    return 'scheduled'
+  }
+  return null
+}
+
+module.exports = {
+  getDraftStatus
+}
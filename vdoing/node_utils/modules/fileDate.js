@@ -0,0 +1,96 @@
+/**
+ * 获取文件的创建时间和最后更新时间，优先使用git提交记录
+ */
+const fs = require('fs'); // 文件模块
+const path = require('path'); // 路径模块
+const { execFileSync } = require('child_process');
+
+/**
+ * 获取文件创建时间。依次使用：git首次提交时间 -> birthtime -> mtime
+ * @param {String} filePath 文件的绝对路径
+ * @returns {Object} {date: Date, source: 'git' | 'birthtime' | 'mtime'}
+ */
+function getCreatedDate(filePath) {
+  const timestamps = gitLog(filePath, ['--follow'])
+  if (timestamps.length) {
+    return { date: new Date(timestamps[timestamps.length - 1] * 1000), source: 'git' }
+  }
+
+  const stat = fs.statSync(filePath)
+  // 在一些系统下无法获取birthtime属性的正确时间(1970年)
+  if (stat.birthtimeMs > 0 && stat.birthtime.getFullYear() != 1970) {
+    return { date: stat.birthtime, source: 'birthtime' }
+  }
+  return { date: stat.mtime, source: 'mtime' }
+}
+
+/**
+ * 获取文件最后更新时间。依次使用：git最后一次提交时间 -> mtime
+ * @param {String} filePath 文件的绝对路径
+ * @param {Map} gitDates getGitUpdatedDates的返回值，传入时不再为单个文件读取git记录
+ * @returns {Object} {date: Date, source: 'git' | 'mtime'}
+ */
+function getUpdatedDate(filePath, gitDates) {
+  if (gitDates) {
+    if (gitDates.has(filePath)) {
+      return { date: gitDates.get(filePath), source: 'git' }
+    }
+  } else {
+    const timestamps = gitLog(filePath, ['-1'])
+    if (timestamps.length) {
+      return { date: new Date(timestamps[0] * 1000), source: 'git' }
+    }
+  }
+  return { date: fs.statSync(filePath).mtime, source: 'mtime' }
+}
+
+/**
+ * 一次读取目录下所有文件的最后一次git提交时间，避免每个文件各执行一次git log
+ * @param {String} dir 目录的绝对路径(一般是docs目录)
+ * @returns {Map} 文件的绝对路径 => Date，不在git仓库中时为空
+ */
+function getGitUpdatedDates(dir) {
+  const dates = new Map()
+  let output = ''
+  try {
+    output = execFileSync(
+      'git',
+      ['-c', 'core.quotePath=false', 'log', '--format=%x00%at', '--name-only', '--relative', '--', '.'],
+      { cwd: dir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 100 * 1024 * 1024 }
+    )
+  } catch (e) {
+    return dates
+  }
+  // 每次提交为 \0<时间戳>\n\n<文件>\n<文件>...，从新到旧，文件第一次出现时即为最后一次提交
+  output.split('\0').forEach(commit => {
+    const [timestamp, ...files] = commit.split('\n')
+    const date = new Date(Number(timestamp) * 1000)
+    files.filter(Boolean).forEach(file => {
+      const filePath = path.join(dir, file)
+      if (!dates.has(filePath)) {
+        dates.set(filePath, date)
+      }
+    })
+  })
+  return dates
+}
+
+// 读取文件的git提交时间(秒)，从新到旧。不在git仓库中或文件未提交时返回空数组
+function gitLog(filePath, args) {
+  try {
+    const output = execFileSync(
+      'git',
+      ['log', ...args, '--format=%at', '--', path.basename(filePath)],
+      { cwd: path.dirname(filePath), encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }
+    )
+    return output.split('\n').map(Number).filter(Boolean)
+  } catch (e) {
+    return []
+  }
+}
+
+module.exports = {
+  getCreatedDate,
+  getUpdatedDate,
+  getGitUpdatedDates
+}
@@ -0,0 +1,121 @@
+/**
+ * frontmatter的读取和修改
+ * 读取和修改使用同一个yaml解析器，修改时只改动有变化的字段，其余内容（注释、字段顺序、引号、缩进）保持原样
+ */
+const matter = require('gray-matter'); // FrontMatter解析器 https://github.com/jonschlinkert/gray-matter
+const YAML = require('yaml'); // 保留源格式的yaml解析器 https://github.com/eemeli/yaml
+
+// 日期解析为Date对象，与VuePress解析页面frontmatter的结果一致
+const YAML_OPTIONS = { customTags: ['timestamp'] }
+
+// ---
+// <yaml>
+// ---
+const FRONTMATTER_RE = /^---[ \t]*(\r?\n)([\s\S]*?)^---[ \t]*(\r?\n|(?![\s\S]))/m
+
+/**
+ * 解析md文件内容
+ * @param {String} str md文件内容
+ * @returns {Object} {data: <frontmatter对象>, content: '剔除frontmatter后的文件内容'}
+ */
+function parseFrontmatter(str) {
+  const { data, content } = matter(str, {
+    engines: { yaml: yamlStr => YAML.parse(yamlStr, YAML_OPTIONS) }
+  })
+  return { data, content }
+}
+
+/**
+ * 修改md文件的frontmatter，文件没有frontmatter时新建
+ * @param {String} str md文件内容
+ * @param {Object} changes 要添加或修改的字段
+ * @param {Array} remove 要删除的字段名
+ * @returns {String} 修改后的文件内容，没有变化时原样返回
+ */
+function updateFrontmatter(str, changes = {}, remove = []) {
+  const match = FRONTMATTER_RE.exec(str)
+
+  if (!match || match.index !== 0) { // 没有frontmatter
+    const keys = Object.keys(changes)
+    if (!keys.length) {
+      return str
+    }
+    const eol = /\r\n/.test(str) ? '\r\n' : '\n'
+    return `---${eol}${keys.map(key => stringifyPair(key, changes[key], eol)).join('')}---${eol}${str}`
+  }
+
+  const [block, eol, yamlStr, closingEol = ''] = match
+  const doc = YAML.parseDocument(yamlStr, YAML_OPTIONS)
+  if (doc.errors.length) {
+    throw new Error(`frontmatter解析失败(invalid frontmatter)：${doc.errors[0].message}`)
+  }
+  const items = YAML.isMap(doc.contents) ? doc.contents.items : []
+  const data = doc.toJS() || {}
+
+  const edits = [] // 对原yaml字符串的修改 {start, end, text}
+  let appended = ''
+  Object.keys(changes).forEach(key => {
+    if (JSON.stringify(data[key]) === JSON.stringify(changes[key])) {
+      return
+    }
+    const text = stringifyPair(key, changes[key], eol)
+    const pair = items.find(item => getKey(item) === key)
+    if (pair) {
+      edits.push({ ...getPairRange(pair, yamlStr), text })
+    } else {
+      appended += text
+    }
+  })
+  remove.forEach(key => {
+    const pair = items.find(item => getKey(item) === key)
+    if (pair) {
+      edits.push({ ...getPairRange(pair, yamlStr), text: '' })
+    }
+  })
+
+  if (!edits.length && !appended) {
+    return str
+  }
+
+  // 从后往前修改，避免位置偏移
+  let newYaml = yamlStr
+  edits.sort((a, b) => b.start - a.start).forEach(({ start, end, text }) => {
+    newYaml = newYaml.slice(0, start) + text + newYaml.slice(end)
+  })
+  if (appended) {
+    if (newYaml && !/\n$/.test(newYaml)) {
+      newYaml += eol
+    }
+    newYaml += appended
+  }
+
+  return `---${eol}${newYaml}---${closingEol}${str.slice(block.length)}`
+}
+
+// 将单个字段序列化为yaml字符串
+function stringifyPair(key, value, eol) {
+  return new YAML.Document({ [key]: value })
+    .toString({ lineWidth: 0 })
+    .replace(/\r?\n/g, eol)
+}
+
+// 字段名
+function getKey(pair) {
+  return YAML.isScalar(pair.key) ? String(pair.key.value) : pair.key
+}
+
+// 字段在yaml字符串中的范围（到行尾为止，包含行内注释和换行符）
+function getPairRange(pair, yamlStr) {
+  const start = pair.key.range[0]
+  let end = pair.value && pair.value.range ? pair.value.range[2] : pair.key.range[2]
+  if (yamlStr.charAt(end - 1) !== '\n') {
+    const lineEnd = yamlStr.indexOf('\n', end)
+    end = lineEnd === -1 ? yamlStr.length : lineEnd + 1
+  }
+  return { start, end }
+}
+
+module.exports = {
+  parseFrontmatter,
+  updateFrontmatter
+}
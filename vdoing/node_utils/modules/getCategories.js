@@ -0,0 +1,44 @@
+const path = require('path'); // 路径模块
+
+/**
+ * 获取文章的分类：结构化文章取所在目录(去除序号)，_posts中的文章取子目录，没有子目录时为categoryText
+ * @param {Object} file readFileList读取的文件数据
+ * @param {String} categoryText 碎片化文章的默认分类名
+ * @param {String} rootDir 分类的根目录，默认为docs目录，多语言时为locale对应的目录
+ * @returns {Array}
+ */
+function getCategories(file, categoryText, rootDir) {
+  let categories = []
+
+  if (file.filePath.indexOf('_posts') === -1) {
+    // 不在_posts文件夹
+    let filePathArr = rootDir
+      ? ['docs', ...path.relative(rootDir, file.filePath).split(path.sep)] // 以根目录为docs
+      : file.filePath.split(path.sep) // path.sep用于兼容不同系统下的路径斜杠
+    filePathArr.pop()
+
+    let ind = filePathArr.indexOf('docs')
+    if (ind !== -1) {
+      while (filePathArr[++ind] !== undefined) {
+        const item = filePathArr[ind]
+        const firstDotIndex = item.indexOf('.');
+        categories.push(item.substring(firstDotIndex + 1) || '') // 获取分类
+        // categories.push(filePathArr[ind].split('.').pop()) // 获取分类
+      }
+    }
+  } else {
+    // 碎片化文章的分类生成
+    const matchResult = file.filePath.match(/_posts\/(\S*)\//);
+    const resultStr = matchResult ? matchResult[1] : ''
+    const resultArr = resultStr.split('/').filter(Boolean)
+
+    if (resultArr.length) {
+      categories.push(...resultArr)
+    } else {
+      categories.push(categoryText)
+    }
+  }
+  return categories
+}
+
+module.exports = getCategories;
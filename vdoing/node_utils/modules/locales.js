@@ -0,0 +1,55 @@
+/**
+ * 多语言：站点配置locales中的每个非根路径(如 '/en/')对应docs下的同名目录
+ */
+const fs = require('fs'); // 文件模块
+const path = require('path'); // 路径模块
+
+/**
+ * 获取所有locale
+ * @param {Object} siteConfig 站点配置
+ * @param {String} sourceDir .md文件所在源目录，传入时忽略docs下没有对应目录的locale
+ * @returns {Array} [{path: '/' | '/en/', lang}]，根路径在第一个
+ */
+function getLocales(siteConfig = {}, sourceDir) {
+  const locales = siteConfig.locales || {}
+  const paths = Object.keys(locales)
+    .filter(localePath => localePath !== '/')
+    .filter(localePath => !sourceDir || fs.existsSync(path.join(sourceDir, localePath)))
+  return [{ path: '/', lang: (locales['/'] || {}).lang || 'zh-CN' }]
+    .concat(paths.map(localePath => ({ path: localePath, lang: locales[localePath].lang || '' })))
+}
+
+/**
+ * 获取文件所属的locale
+ * @param {String} sourceDir .md文件所在源目录(一般是docs目录)
+ * @param {String} filePath 文件的绝对路径
+ * @param {Array} locales getLocales的返回值
+ * @returns {Object} {path, lang}
+ */
+function getFileLocale(sourceDir, filePath, locales) {
+  const relativePath = '/' + path.relative(sourceDir, filePath).split(path.sep).join('/')
+  return locales.find(locale => locale.path !== '/' && relativePath.indexOf(locale.path) === 0) || locales[0]
+}
+
+/**
+ * 获取locale的碎片化文章默认分类名，locale配置中的categoryText优先
+ * @param {Object} themeConfig 主题配置
+ * @param {Object} locale {path, lang}
+ * @returns {String}
+ */
+function getCategoryText(themeConfig, locale) {
+  const localeConfig = (themeConfig.locales || {})[locale.path] || {}
+  if (localeConfig.categoryText) {
+    return localeConfig.categoryText
+  }
+  if (locale.path === '/') {
+    return themeConfig.categoryText || '随笔'
+  }
+  return /^zh/i.test(locale.lang) ? '随笔' : 'Essays'
+}
+
+module.exports = {
+  getLocales,
+  getFileLocale,
+  getCategoryText
+}
@@ -0,0 +1,126 @@
+/**
+ * 将markdown内容转换为纯文本
+ */
+
+// 代码块
+const CODE_BLOCK_RE = /^(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\1[ \t]*$/gm
+
+// 中日韩文字
+const CJK_RE = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7a3]/g
+
+/**
+ * 去除markdown语法，只保留正文文字
+ * @param {String} content 剔除frontmatter后的md内容
+ * @returns {String}
+ */
+function stripMarkdown(content) {
+  return removeCode(content)
+    .replace(/<!--[\s\S]*?-->/g, '') // 注释，包括 <!-- more -->
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '') // 脚本和样式
+    .replace(/^:::.*$/gm, '') // 容器标记
+    .replace(/<[^>]+>/g, '') // html标签
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '') // 图片
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // 链接
+    .replace(/\[([^\]]*)\]\[[^\]]*\]/g, '$1') // 引用式链接
+    .replace(/^\s*\[[^\]]+\]:.*$/gm, '') // 链接定义
+    .replace(/^#{1,6}\s+/gm, '') // 标题
+    .replace(/^\s*>+\s?/gm, '') // 引用
+    .replace(/^\s*([-*+]|\d+\.)\s+/gm, '') // 列表
+    .replace(/^\s*\|?[\s:|-]+\|[\s:|-]*$/gm, '') // 表格分隔行
+    .replace(/\|/g, ' ')
+    .replace(/(\*\*|__|\*|_|~~)(\S[\s\S]*?)\1/g, '$2') // 强调
+    .replace(/^\s*([-*_]\s*){3,}$/gm, '') // 分隔线
+    .replace(/\$\$[\s\S]*?\$\$/g, '') // 公式
+}
+
+/**
+ * 去除代码块和行内代码
+ * @param {String} content md内容
+ * @returns {String}
+ */
+function removeCode(content) {
+  return content
+    .replace(CODE_BLOCK_RE, '')
+    .replace(/`[^`\n]*`/g, '')
+}
+
+/**
+ * 从开头有意义的段落中生成纯文本摘要
+ * @param {String} content 剔除frontmatter后的md内容
+ * @param {Number} maxWidth 摘要的最大宽度，中文等全角字符宽度为2，其他字符为1
+ * @returns {String}
+ */
+function getSummary(content, maxWidth) {
+  const blocks = removeCode(content)
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '') // 脚本和样式
+    .replace(/^:::[\s\S]*?^:::[ \t]*$/gm, '') // 容器
+    .split(/\r?\n\s*\r?\n/)
+
+  let summary = ''
+  for (let i = 0; i < blocks.length && getTextWidth(summary) < maxWidth; i++) {
+    const block = blocks[i].trim()
+    if (/^(#|\||!\[|\[\[toc\]\])/i.test(block)) continue // 标题、表格、图片、目录
+    const text = stripMarkdown(block).replace(/\s+/g, ' ').trim()
+    if (getTextWidth(text) < 10) continue // 过短的段落
+    summary += (summary ? ' ' : '') + text
+  }
+  return truncate(summary, maxWidth)
+}
+
+/**
+ * 统计字数，中日韩文字按字计，其他文字按单词计，代码块单独按行计
+ * @param {String} content 剔除frontmatter后的md内容
+ * @returns {Object} {cjk: <中日韩字数>, latin: <单词数>, codeLines: <代码行数>}
+ */
+function getWordCount(content) {
+  let codeLines = 0
+  const text = content.replace(CODE_BLOCK_RE, block => {
+    codeLines += block.split('\n').filter(line => line.trim()).length - 2 // 不计开头和结尾的 ```
+    return ''
+  })
+  const plain = stripMarkdown(text.replace(/`([^`\n]*)`/g, '$1')) // 行内代码按正文计
+  const cjk = (plain.match(CJK_RE) || []).length
+  const latin = (plain.replace(CJK_RE, ' ').match(/[\p{L}\p{N}]+(['’-][\p{L}\p{N}]+)*/gu) || []).length
+  return { cjk, latin, codeLines }
+}
+
+/**
+ * 文本的显示宽度，中文等全角字符宽度为2，其他字符为1
+ * @param {String} str
+ * @returns {Number}
+ */
+function getTextWidth(str) {
+  let width = 0
+  for (const char of str) {
+    width += isWide(char) ? 2 : 1
+  }
+  return width
+}
+
+// 按显示宽度截断，超出时添加省略号
+function truncate(str, maxWidth) {
+  if (getTextWidth(str) <= maxWidth) {
+    return str
+  }
+  let width = 0
+  let result = ''
+  for (const char of str) {
+    width += isWide(char) ? 2 : 1
+    if (width > maxWidth - 2) break
+    result += char
+  }
+  return result.trim() + '…'
+}
+
+// 是否为全角字符(中日韩文字、全角标点)
+function isWide(char) {
+  return /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/.test(char)
+}
+
+module.exports = {
+  stripMarkdown,
+  removeCode,
+  getSummary,
+  getWordCount,
+  getTextWidth
+}
@@ -0,0 +1,123 @@
+/**
+ * 永久链接的生成与冲突检查
+ */
+const path = require('path'); // 路径模块
+const crypto = require('crypto');
+const chalk = require('chalk') // 命令行打印美化
+const log = console.log
+
+const PREFIX = '/pages/'
+const HASH_LENGTH = 6
+
+// 预设的生成方式，其余值视为自定义模板
+const PRESETS = {
+  slug: '/:category/:slug/'
+}
+
+/**
+ * 生成永久链接
+ * @param {Object} file readFileList读取的文件数据 {name, filePath}
+ * @param {Object} options
+ * @param {String} options.sourceDir 源目录(docs)
+ * @param {String} options.mode 生成方式 'hash' | 'slug' | 'random' | <自定义模板>
+ * @param {Array} options.categories 文章分类
+ * @param {String} options.date 文章日期 'YYYY-MM-DD hh:mm:ss'
+ * @param {String} options.localePath 文件所属的locale路径，非根locale时作为链接前缀，如 '/en/'
+ * @param {Map} options.permalinks 已存在的永久链接，用于避免冲突
+ */
+function createPermalink(file, { sourceDir, mode = 'hash', categories = [], date = '', localePath = '/', permalinks }) {
+  let permalink = ''
+  if (mode === 'random') {
+    permalink = `${PREFIX + (Math.random() + Math.random()).toString(16).slice(2, 8)}/`
+  } else if (mode === 'hash') {
+    permalink = `${PREFIX + getPathHash(file, sourceDir)}/`
+  } else {
+    permalink = renderTemplate(PRESETS[mode] || mode, file, { sourceDir, categories, date })
+  }
+  if (localePath !== '/') {
+    permalink = localePath.replace(/\/$/, '') + permalink
+  }
+
+  if (permalinks) {
+    const unique = getUniquePermalink(permalink, permalinks)
+    if (unique !== permalink) {
+      log(chalk.yellow(`warning: 永久链接 "${permalink}" 已被 "${permalinks.get(permalink)[0]}" 使用，"${file.filePath}" 将使用 "${unique}"`))
+    }
+    permalink = unique
+    permalinks.set(permalink, [file.filePath])
+  }
+  return permalink
+}
+
+/**
+ * 读取所有文件已有的永久链接，并报告冲突
+ * @param {Array} files scanDocs读取的文件数据
+ * @returns {Map} permalink => [filePath, ...]
+ */
+function collectPermalinks(files) {
+  const permalinks = new Map()
+  files.forEach(file => {
+    if (!file.data.permalink) return
+    const permalink = String(file.data.permalink)
+    if (!permalinks.has(permalink)) {
+      permalinks.set(permalink, [])
+    }
+    permalinks.get(permalink).push(file.filePath)
+  })
+
+  permalinks.forEach((filePaths, permalink) => {
+    if (filePaths.length > 1) {
+      log(chalk.yellow(`warning: 永久链接 "${permalink}" 冲突，以下文件使用了相同的永久链接：${filePaths.map(p => '\n  - ' + p).join('')}`))
+    }
+  })
+  return permalinks
+}
+
+// 由文件相对于源目录的路径计算hash，同一路径始终得到相同的结果
+function getPathHash(file, sourceDir) {
+  const relativePath = path.relative(sourceDir, file.filePath).split(path.sep).join('/')
+  return crypto.createHash('md5').update(relativePath).digest('hex').slice(0, HASH_LENGTH)
+}
+
+// 渲染永久链接模板，可用变量 :category :slug :hash :year :month :day
+function renderTemplate(template, file, { sourceDir, categories, date }) {
+  const [year = '', month = '', day = ''] = (date || '').split(' ')[0].split('-')
+  const values = {
+    category: categories.map(slugify).filter(Boolean).join('/'),
+    slug: slugify(file.name),
+    hash: getPathHash(file, sourceDir),
+    year,
+    month,
+    day
+  }
+  const permalink = template.replace(/:(category|slug|hash|year|month|day)/g, (match, key) => values[key])
+  return ('/' + permalink + '/').replace(/\/{2,}/g, '/')
+}
+
+// 将字符串转换为链接片段，保留中文等非拉丁字符
+function slugify(str) {
+  return String(str)
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+}
+
+// 永久链接已被占用时在末尾追加序号
+function getUniquePermalink(permalink, permalinks) {
+  if (!permalinks.has(permalink)) {
+    return permalink
+  }
+  const base = permalink.replace(/\/$/, '')
+  let i = 2
+  while (permalinks.has(`${base}-${i}/`)) {
+    i++
+  }
+  return `${base}-${i}/`
+}
+
+module.exports = {
+  createPermalink,
+  collectPermalinks,
+  slugify
+}
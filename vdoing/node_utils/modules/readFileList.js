@@ -6,13 +6,19 @@ const path = require('path'); // 路径模块
 const chalk = require('chalk') // 命令行打印美化
 const log = console.log
 
-function readFileList(dir, filesList = []) {
+/**
+ * @param {String} dir 目录
+ * @param {Object} options {includePages: 是否包含@pages下自动生成的分类页、标签页、归档页和目录页}
+ * @param {Array} filesList 递归时收集的文件列表
+ * @returns {Array} [{name, filePath}]
+ */
+function readFileList(dir, options = {}, filesList = []) {
   const files = fs.readdirSync(dir);
   files.forEach((item, index) => {
     let filePath = path.join(dir, item);
     const stat = fs.statSync(filePath);
-    if (stat.isDirectory() && item !== '.vuepress' && item !== '@pages') {
-      readFileList(path.join(dir, item), filesList);  //递归读取文件
+    if (stat.isDirectory() && item !== '.vuepress' && (item !== '@pages' || options.includePages)) {
+      readFileList(path.join(dir, item), options, filesList);  //递归读取文件
     } else {
       if (path.basename(dir) !== 'docs') { // 过滤docs目录级下的文件
 
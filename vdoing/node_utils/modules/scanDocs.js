@@ -0,0 +1,128 @@
+/**
+ * 扫描docs目录下的所有md文件，供各个node工具共用，每个文件只读取和解析一次
+ * 解析结果按文件的mtime和内容hash缓存在 docs/.vuepress/.cache/docs.json，未修改的文件在下次运行时直接使用缓存
+ */
+const fs = require('fs'); // 文件模块
+const path = require('path'); // 路径模块
+const crypto = require('crypto');
+const readFileList = require('./readFileList');
+const { parseFrontmatter } = require('./frontmatter');
+
+const CACHE_FILE = path.join('.vuepress', '.cache', 'docs.json') // 相对于源目录
+const CACHE_VERSION = 2 // 缓存格式变化时修改，使旧缓存失效
+const DATE_KEY = '$date' // 缓存中Date对象的标记
+
+const caches = new Map() // 源目录 => {entries, dirty}
+
+/**
+ * 扫描所有md文件
+ * @param {String} sourceDir .md文件所在源目录(一般是docs目录)
+ * @param {Object} options {includePages: 是否包含@pages下自动生成的页面}
+ * @returns {Array} [{name, filePath, data, contentHash, raw, content}]，data为只读的frontmatter数据，raw和content在读取时才加载
+ */
+function scanDocs(sourceDir, options) {
+  const files = readFileList(sourceDir, options).map(({ name, filePath }) => readDoc(sourceDir, filePath, name))
+  saveCache(sourceDir)
+  return files
+}
+
+/**
+ * 读取单个md文件，文件未修改时使用缓存
+ * @param {String} sourceDir .md文件所在源目录(一般是docs目录)
+ * @param {String} filePath 文件的绝对路径
+ * @param {String} name 文件名(不含序号和后缀)
+ * @returns {Object} 同scanDocs返回的数组成员
+ */
+function readDoc(sourceDir, filePath, name) {
+  const cache = loadCache(sourceDir)
+  const key = path.relative(sourceDir, filePath).split(path.sep).join('/')
+  const { mtimeMs, size } = fs.statSync(filePath)
+  let entry = cache.entries[key]
+  let raw = null
+
+  if (!entry || entry.mtimeMs !== mtimeMs || entry.size !== size) {
+    raw = fs.readFileSync(filePath, 'utf8')
+    const hash = getHash(raw)
+    if (!entry || entry.hash !== hash) { // 内容有变化才重新解析
+      const { data, content } = parseFrontmatter(raw)
+      entry = {
+        hash,
+        contentHash: content.trim() ? getHash(content.trim()) : '', // 正文hash，空文件为''
+        data
+      }
+    }
+    cache.entries[key] = { ...entry, mtimeMs, size }
+    cache.dirty = true
+  }
+
+  let content = null
+  return {
+    name,
+    filePath,
+    data: cache.entries[key].data,
+    contentHash: cache.entries[key].contentHash,
+    get raw() { // 文件内容
+      if (raw === null) raw = fs.readFileSync(filePath, 'utf8')
+      return raw
+    },
+    get content() { // 剔除frontmatter后的内容
+      if (content === null) content = parseFrontmatter(this.raw).content
+      return content
+    }
+  }
+}
+
+// 读取缓存文件，同一源目录只读取一次
+function loadCache(sourceDir) {
+  if (caches.has(sourceDir)) {
+    return caches.get(sourceDir)
+  }
+  let entries = {}
+  const cachePath = path.join(sourceDir, CACHE_FILE)
+  try {
+    const json = JSON.parse(fs.readFileSync(cachePath, 'utf8'), reviveDate)
+    if (json.version === CACHE_VERSION) {
+      entries = json.entries
+    }
+  } catch (err) {
+    // 缓存不存在或已损坏时重新扫描
+  }
+  const cache = { entries, dirty: false }
+  caches.set(sourceDir, cache)
+  return cache
+}
+
+// 写入缓存文件，并移除已删除文件的缓存
+function saveCache(sourceDir) {
+  const cache = loadCache(sourceDir)
+  Object.keys(cache.entries).forEach(key => {
+    if (!fs.existsSync(path.join(sourceDir, key))) {
+      delete cache.entries[key]
+      cache.dirty = true
+    }
+  })
+  if (!cache.dirty) return
+
+  const cachePath = path.join(sourceDir, CACHE_FILE)
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true })
+  fs.writeFileSync(cachePath, JSON.stringify({ version: CACHE_VERSION, entries: cache.entries }, replaceDate))
+  cache.dirty = false
+}
+
+// frontmatter中的日期在缓存中保存为 {$date: <时间戳>}
+function replaceDate(key, value) {
+  return this[key] instanceof Date ? { [DATE_KEY]: this[key].getTime() } : value
+}
+
+function reviveDate(key, value) {
+  return value && typeof value === 'object' && typeof value[DATE_KEY] === 'number' ? new Date(value[DATE_KEY]) : value
+}
+
+function getHash(str) {
+  return crypto.createHash('md5').update(str).digest('hex')
+}
+
+module.exports = {
+  scanDocs,
+  readDoc
+}
@@ -0,0 +1,59 @@
+/**
+ * 标签规范化：合并大小写、空白、全角字符和别名不同的标签，移除隐藏的标签(主题配置tagRules)
+ * 比较键和别名的规则与前端解析标签页链接时共用(见 util/shared.js)
+ */
+const { type } = require('./fn')
+const { getTagKey, cleanTag, getTagAliases } = require('../../util/shared')
+
+/**
+ * 创建标签规范化函数
+ * 比较键相同的标签合并为一个，显示为别名配置中的规范写法，没有配置时取文章中最常用的写法
+ * @param {Array} pages 所有页面数据
+ * @param {Object} tagRules 主题配置tagRules
+ * @returns {Function} tags => 规范化之后的标签数组
+ */
+function getTagNormalizer(pages, tagRules = {}) {
+  const aliases = getTagAliases(tagRules) // 别名 => 规范标签
+  const hidden = (tagRules.hidden || []).map(tag => getTagKey(tag, tagRules))
+  const getKey = tag => {
+    const key = getTagKey(tag, tagRules)
+    return aliases[key] ? getTagKey(aliases[key], tagRules) : key
+  }
+
+  // 各比较键下每种写法的使用次数
+  const spellings = {}
+  pages.forEach(({ frontmatter: { tags } }) => {
+    toArray(tags).forEach(tag => {
+      const key = getKey(tag)
+      const spelling = cleanTag(tag)
+      spellings[key] = spellings[key] || {}
+      spellings[key][spelling] = (spellings[key][spelling] || 0) + 1
+    })
+  })
+
+  const canonicalTags = {}
+  Object.keys(spellings).forEach(key => {
+    if (!key || hidden.includes(key)) return
+    canonicalTags[key] = aliases[key] || Object.keys(spellings[key])
+      .reduce((prev, next) => spellings[key][next] > spellings[key][prev] ? next : prev)
+  })
+
+  return tags => {
+    const result = []
+    toArray(tags).forEach(tag => {
+      const canonical = canonicalTags[getKey(tag)]
+      if (canonical && !result.includes(canonical)) {
+        result.push(canonical)
+      }
+    })
+    return result
+  }
+}
+
+function toArray(tags) {
+  return type(tags) === 'array' ? tags.filter(tag => tag || tag === 0) : []
+}
+
+module.exports = {
+  getTagNormalizer
+}
@@ -0,0 +1,37 @@
+/**
+ * 分词：中文按词切分（至少两个字），英文按单词（至少三个字母），去除停用词
+ */
+
+// 停用词
+const STOP_WORDS = new Set([
+  '我们', '你们', '他们', '它们', '这个', '那个', '这些', '那些', '一个', '一种', '一些', '可以', '就是', '还是', '但是',
+  '因为', '所以', '如果', '然后', '以及', '或者', '而且', '并且', '通过', '进行', '使用', '需要', '可能', '没有', '什么',
+  '怎么', '如何', '为什么', '这样', '那样', '这里', '那里', '时候', '已经', '自己', '其中', '之后', '之前', '以后', '以上',
+  '以下', '不是', '不会', '不能', '也是', '还有', '对于', '关于', '根据', '当然', '其实', '非常', '比较', '一样', '所有',
+  '每个', '这种', '那种', '出来', '起来', '一下', '例如', '比如', '问题', '方法', '内容', '部分', '时间', '情况', '东西',
+  'the', 'and', 'for', 'with', 'this', 'that', 'from', 'are', 'was', 'you', 'your', 'not', 'but', 'can', 'will',
+  'have', 'has', 'into', 'use', 'using', 'http', 'https', 'www', 'com'
+])
+
+const segmenter = new Intl.Segmenter('zh', { granularity: 'word' })
+
+/**
+ * 分词
+ * @param {String} str 纯文本
+ * @returns {Array} 词语，保留原始大小写
+ */
+function tokenize(str) {
+  const words = []
+  for (const { segment, isWordLike } of segmenter.segment(str)) {
+    if (!isWordLike || /^\d+$/.test(segment)) continue
+    const isCJK = /[一-龥]/.test(segment)
+    if ((isCJK && segment.length < 2) || (!isCJK && segment.length < 3)) continue
+    if (STOP_WORDS.has(segment.toLowerCase())) continue
+    words.push(segment)
+  }
+  return words
+}
+
+module.exports = {
+  tokenize
+}
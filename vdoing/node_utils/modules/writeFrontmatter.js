@@ -0,0 +1,62 @@
+/**
+ * 写入frontmatter修改，自动生成frontmatter和写入推荐标签共用
+ * 预演(dryRun)模式下只打印每个文件的修改内容，严格(strict)模式下有修改时抛出错误，两者都不写入文件
+ */
+const fs = require('fs'); // 文件模块
+const path = require('path');
+const chalk = require('chalk') // 命令行打印美化
+const { createTwoFilesPatch } = require('diff') // 生成unified diff
+const log = console.log
+
+/**
+ * 创建写入器
+ * @param {String} sourceDir .md文件所在源目录(一般是docs目录)
+ * @param {Object} autoFrontmatter 主题配置autoFrontmatter {dryRun, strict}
+ * @returns {Object} {write(filePath, oldData, newData) 写入文件，返回是否已写入 | check(message) 严格模式下有修改时抛出错误}
+ */
+function createFrontmatterWriter(sourceDir, autoFrontmatter) {
+  const { dryRun, strict } = getMode(autoFrontmatter)
+  const changedFiles = [] // 需要修改的文件
+
+  return {
+    write(filePath, oldData, newData) {
+      changedFiles.push(filePath)
+      if (dryRun || strict) {
+        const relativePath = path.relative(sourceDir, filePath).split(path.sep).join('/')
+        log(colorDiff(createTwoFilesPatch(`a/${relativePath}`, `b/${relativePath}`, oldData, newData)))
+        return false
+      }
+      fs.writeFileSync(filePath, newData)
+      return true
+    },
+    check(message) {
+      if (strict && changedFiles.length) {
+        throw new Error(`[vdoing] ${changedFiles.length} ${message}：${changedFiles.map(p => '\n  - ' + p).join('')}`)
+      }
+    }
+  }
+}
+
+// 获取写入模式，环境变量 VDOING_FRONTMATTER=dry-run | strict 优先于主题配置
+function getMode(autoFrontmatter = {}) {
+  const envMode = process.env.VDOING_FRONTMATTER
+  return {
+    dryRun: envMode === 'dry-run' || (!envMode && autoFrontmatter.dryRun === true),
+    strict: envMode === 'strict' || (!envMode && autoFrontmatter.strict === true)
+  }
+}
+
+// 给diff着色
+function colorDiff(patch) {
+  return patch.split('\n').map(line => {
+    if (/^(\+\+\+|---)/.test(line)) return chalk.bold(line)
+    if (line.charAt(0) === '+') return chalk.green(line)
+    if (line.charAt(0) === '-') return chalk.red(line)
+    if (line.charAt(0) === '@') return chalk.cyan(line)
+    return line
+  }).join('\n')
+}
+
+module.exports = {
+  createFrontmatterWriter
+}
@@ -0,0 +1,247 @@
+// 文章索引：构建时按语言过滤、排序、分组和计数，前端通过 @dynamic/postIndex 共享同一份只读数据(见 util/postStore.js)
+
+const chalk = require('chalk') // 命令行打印美化
+const { type } = require('./modules/fn');
+const { getTagNormalizer } = require('./modules/tags');
+const { CATEGORY_SEPARATOR, getSeries, getAuthors, parseDate, compareDate } = require('../util/shared');
+const log = console.log
+
+/**
+ * 生成文章索引，同时把规范化之后的标签和作者写入 page.tags、page.authors
+ * 索引中的文章均以页面key表示，文章列表和分组都按时间排序，置顶在前端按当前时间处理(见 util/postStore.js)
+ * @param {Array} pages ctx.pages
+ * @param {Object} options {locales, themeConfig, showDrafts}
+ * @returns {Object} {localePath: {postsByDate, groups, series, counts, sticky, categorySticky}}
+ */
+function getPostIndex(pages, { locales = [{ path: '/' }], themeConfig = {}, showDrafts = false } = {}) {
+  const normalizeTags = getTagNormalizer(pages, themeConfig.tagRules)
+  pages.forEach(page => {
+    page.tags = normalizeTags(page.frontmatter.tags)
+    page.author = page.frontmatter.author || themeConfig.author
+    page.authors = getAuthors(page.author) // 多作者 [{name, link}]
+  })
+
+  const posts = pages.filter(page => {
+    const { frontmatter: { pageComponent, article, home } } = page
+    return !(pageComponent || article === false || home === true) // 存在页面组件、article字段为false，以及首页
+      && (showDrafts || !page.draft)
+  })
+
+  const now = Date.now()
+  const index = {}
+  locales.forEach(locale => {
+    const otherLocales = locales.filter(item => item.path !== '/' && item.path !== locale.path)
+    const localePosts = posts.filter(page => page.regularPath.indexOf(locale.path) === 0
+      && !otherLocales.some(item => page.regularPath.indexOf(item.path) === 0))
+
+    const sortedPosts = sortPostsByDate(localePosts)
+    const groups = groupPosts(sortedPosts)
+    index[locale.path] = {
+      postsByDate: getKeys(sortedPosts),
+      groups: {
+        categories: getGroupKeys(groups.categories),
+        categoryPaths: getGroupKeys(groups.categoryPaths),
+        tags: getGroupKeys(groups.tags),
+        authors: getGroupKeys(groups.authors)
+      },
+      series: getGroupKeys(groupSeries(localePosts)),
+      counts: categoriesAndTags(groups),
+      sticky: getStickyPosts(sortedPosts, now),
+      categorySticky: getCategorySticky(groups, themeConfig.categorySticky, now)
+    }
+  })
+
+  log(chalk.blue('tip ') + chalk.green(`post index(文章索引)：${locales.map(locale => `${locale.path} ${index[locale.path].postsByDate.length} 篇`).join('，')}`))
+  return index
+}
+
+/**
+ * 获取置顶信息
+ * frontmatter中 sticky: <序号> 或 { order: <序号>, until: <截止时间> }，序号越小越靠前，过了截止时间不再置顶
+ * @param {Number|Object} sticky
+ * @param {Number} now 当前时间戳
+ * @returns {Object|null} {order, until}，until为截止时间的时间戳
+ */
+function getSticky(sticky, now = Date.now()) {
+  if (type(sticky) === 'object') {
+    const until = sticky.until ? parseDate(sticky.until) : null
+    if (until && until <= now) {
+      return null
+    }
+    return { order: Number(sticky.order) || 1, until }
+  }
+  return sticky && !isNaN(Number(sticky)) ? { order: Number(sticky), until: null } : null
+}
+
+/**
+ * 全局置顶的文章，按序号排序，序号相同时按时间排序
+ * @param {Array} posts 按时间排序之后的文章页面
+ * @param {Number} now 当前时间戳
+ * @returns {Array} [{key, until}]
+ */
+function getStickyPosts(posts, now) {
+  return posts
+    .map(post => ({ post, sticky: getSticky(post.frontmatter.sticky, now) }))
+    .filter(item => item.sticky)
+    .sort((prev, next) => prev.sticky.order - next.sticky.order) // 稳定排序，序号相同的保持时间顺序
+    .map(({ post, sticky }) => ({ key: post.key, until: sticky.until }))
+}
+
+/**
+ * 分类页中置顶的文章，来自主题配置categorySticky，按数组顺序置顶
+ * { <分类路径或分类名>: [<文章永久链接> | { path: <文章永久链接>, until: <截止时间> }] }
+ * @param {Object} groups groupPosts的返回值
+ * @param {Object} config 主题配置categorySticky
+ * @param {Number} now 当前时间戳
+ * @returns {Object} {<分类>: [{key, until}]}
+ */
+function getCategorySticky(groups, config, now) {
+  const result = {}
+  if (type(config) !== 'object') return result
+
+  const normalizePath = link => decodeURI(String(link)).replace(/\/$/, '')
+  Object.keys(config).forEach(category => {
+    const categoryPosts = groups.categoryPaths[category] || groups.categories[category]
+    if (!categoryPosts || type(config[category]) !== 'array') return // 不是当前语言的分类
+
+    result[category] = []
+    config[category].forEach(item => {
+      const { path, until } = type(item) === 'object' ? item : { path: item }
+      const post = categoryPosts.find(post => normalizePath(post.path) === normalizePath(path))
+      if (!post) {
+        log(chalk.yellow(`warning: categorySticky中的文章 ${path} 不在分类 ${category} 下`))
+        return
+      }
+      const untilTime = until ? parseDate(until) : null
+      if (!untilTime || untilTime > now) {
+        result[category].push({ key: post.key, until: untilTime })
+      }
+    })
+  })
+  return result
+}
+
+/**
+ * 按时间排序，返回新数组
+ * @param {Array} posts 文章页面
+ */
+function sortPostsByDate(posts) {
+  return posts.slice().sort(compareDate)
+}
+
+/**
+ * 按分类、标签和作者分组
+ * categories 每一级分类名各自分组，categoryPaths 按分类路径分组(包含子分类的文章)
+ * @param {Array} posts 排序之后的文章页面
+ */
+function groupPosts(posts) {
+  const categoriesObj = {}
+  const categoryPathsObj = {}
+  const tagsObj = {}
+  const authorsObj = {}
+  const push = (obj, key, post) => {
+    if (!obj[key]) {
+      obj[key] = []
+    }
+    obj[key].push(post)
+  }
+
+  posts.forEach(post => {
+    const { frontmatter: { categories }, tags, authors } = post
+    if (type(categories) === 'array') {
+      const validCategories = categories.filter(Boolean) // 分类值是有效的
+      validCategories.forEach((item, index) => {
+        push(categoriesObj, item, post)
+        push(categoryPathsObj, validCategories.slice(0, index + 1).join(CATEGORY_SEPARATOR), post)
+      })
+    }
+    tags.forEach(item => push(tagsObj, item, post))
+    authors.forEach(({ name }) => push(authorsObj, name, post))
+  })
+  return {
+    categories: categoriesObj,
+    categoryPaths: categoryPathsObj,
+    tags: tagsObj,
+    authors: authorsObj
+  }
+}
+
+/**
+ * 按系列分组，系列内按part排序，没有part的按时间排在最后
+ * @param {Array} posts 文章页面
+ */
+function groupSeries(posts) {
+  const seriesObj = {}
+  posts.forEach(post => {
+    const series = getSeries(post.frontmatter)
+    if (series) {
+      if (!seriesObj[series.name]) {
+        seriesObj[series.name] = []
+      }
+      seriesObj[series.name].push(post)
+    }
+  })
+  Object.keys(seriesObj).forEach(key => {
+    seriesObj[key].sort((prev, next) => {
+      const prevPart = getSeries(prev.frontmatter).part
+      const nextPart = getSeries(next.frontmatter).part
+      if (prevPart !== undefined && nextPart !== undefined && prevPart !== nextPart) {
+        return prevPart - nextPart
+      }
+      if ((prevPart === undefined) !== (nextPart === undefined)) {
+        return prevPart === undefined ? 1 : -1
+      }
+      return compareDate(next, prev) // 时间早的在前
+    })
+  })
+  return seriesObj
+}
+
+/**
+ * 所有分类、标签和作者及其文章数
+ * categoryTree 分类树 [{key, path, length, children}]，父级分类的文章数包含所有子分类的文章
+ * @param {Object} groups groupPosts的返回值
+ */
+function categoriesAndTags(groups) {
+  const getCounts = obj => Object.keys(obj).map(key => ({ key, length: obj[key].length }))
+  const categoryTree = []
+  const categoryNodes = {}
+
+  Object.keys(groups.categoryPaths).forEach(path => { // 父级分类总是先于子分类加入
+    const lastIndex = path.lastIndexOf(CATEGORY_SEPARATOR)
+    const node = {
+      key: path.slice(lastIndex + 1),
+      path,
+      length: groups.categoryPaths[path].length,
+      children: []
+    }
+    const parent = categoryNodes[path.slice(0, lastIndex)]
+    if (lastIndex > -1 && parent) {
+      parent.children.push(node)
+    } else {
+      categoryTree.push(node)
+    }
+    categoryNodes[path] = node
+  })
+
+  return {
+    categories: getCounts(groups.categories),
+    categoryTree,
+    tags: getCounts(groups.tags),
+    authors: getCounts(groups.authors)
+  }
+}
+
+function getKeys(posts) {
+  return posts.map(post => post.key)
+}
+
+function getGroupKeys(obj) {
+  const result = {}
+  Object.keys(obj).forEach(key => {
+    result[key] = getKeys(obj[key])
+  })
+  return result
+}
+
+module.exports = getPostIndex
@@ -0,0 +1,169 @@
+// 记录永久链接的变更历史，并为旧链接生成重定向（vercel.json 或 meta-refresh 跳转页）
+
+const fs = require('fs'); // 文件模块
+const path = require('path'); // 路径模块
+const chalk = require('chalk') // 命令行打印美化
+const { scanDocs } = require('./modules/scanDocs');
+const log = console.log
+
+const LEDGER_FILE = 'permalinkHistory.json' // 变更历史文件，位于.vuepress目录，需提交到仓库
+
+/**
+ * 更新永久链接变更历史，返回需要重定向的旧链接
+ * @param {String} sourceDir .md文件所在源目录(一般是docs目录)
+ * @returns {Array} [{from: <旧链接>, to: <当前链接>}]
+ */
+function getRedirects(sourceDir) {
+  const ledger = readLedger(sourceDir)
+  const current = {}
+  scanDocs(sourceDir).forEach(({ filePath, data, contentHash }) => {
+    const key = path.relative(sourceDir, filePath).split(path.sep).join('/')
+    current[key] = {
+      permalink: data.permalink ? String(data.permalink) : '',
+      hash: contentHash // 空文件为''，不参与匹配
+    }
+  })
+
+  // 已不存在的文件路径，可能是被移动或重命名了
+  const removedKeys = Object.keys(ledger.files).filter(key => !current[key])
+  const files = {}
+  Object.keys(current).forEach(key => {
+    const { permalink, hash } = current[key]
+    let record = ledger.files[key]
+    if (!record) {
+      // 通过永久链接或正文内容找回移动前的记录
+      const index = removedKeys.findIndex(oldKey => {
+        const oldRecord = ledger.files[oldKey]
+        return (permalink && oldRecord.permalinks.includes(permalink)) || (hash && oldRecord.hash === hash)
+      })
+      if (index > -1) {
+        record = ledger.files[removedKeys[index]]
+        log(chalk.blue('tip ') + chalk.green(`file moved(文件已移动): ${removedKeys[index]} => ${key}`))
+        removedKeys.splice(index, 1)
+      }
+    }
+
+    let permalinks = record ? record.permalinks.slice() : []
+    if (permalink) {
+      permalinks = permalinks.filter(item => item !== permalink)
+      permalinks.push(permalink) // 最后一个为当前链接
+    }
+    files[key] = { permalinks, hash }
+  })
+
+  ledger.files = files
+  saveLedger(sourceDir, ledger)
+
+  // 当前仍被使用的链接不做重定向
+  const currentPermalinks = new Set(Object.keys(current).map(key => current[key].permalink))
+  const redirects = []
+  Object.keys(files).forEach(key => {
+    const { permalinks } = files[key]
+    const to = permalinks[permalinks.length - 1]
+    permalinks.slice(0, -1).forEach(from => {
+      if (!currentPermalinks.has(from)) {
+        redirects.push({ from, to })
+      }
+    })
+  })
+  return redirects
+}
+
+/**
+ * 将重定向规则合并到vercel.json的redirects字段，并移除上次生成但已失效的规则
+ * @param {String} sourceDir .md文件所在源目录(一般是docs目录)
+ * @param {Array} redirects getRedirects的返回值
+ * @param {String} base siteConfig base
+ */
+function writeVercelRedirects(sourceDir, redirects, base = '/') {
+  const vercelPath = path.resolve(sourceDir, '..', 'vercel.json')
+  const vercelConfig = fs.existsSync(vercelPath) ? JSON.parse(fs.readFileSync(vercelPath, 'utf8')) : {}
+  const ledger = readLedger(sourceDir)
+
+  const rules = redirects.map(({ from, to }) => ({
+    source: encodeURI(withBase(from, base)),
+    destination: encodeURI(withBase(to, base)),
+    permanent: true
+  }))
+  const generated = rules.map(rule => rule.source)
+  const userRules = (vercelConfig.redirects || []).filter(rule => !ledger.generated.includes(rule.source))
+  const newRedirects = userRules.concat(rules)
+
+  if (JSON.stringify(newRedirects) !== JSON.stringify(vercelConfig.redirects || [])) {
+    if (newRedirects.length) {
+      vercelConfig.redirects = newRedirects
+    } else {
+      delete vercelConfig.redirects
+    }
+    fs.writeFileSync(vercelPath, JSON.stringify(vercelConfig, null, 2) + '\n')
+    log(chalk.blue('tip ') + chalk.green(`write redirects(写入重定向规则): ${vercelPath}`))
+  }
+
+  ledger.generated = generated
+  saveLedger(sourceDir, ledger)
+}
+
+/**
+ * 在打包目录中为旧链接生成meta-refresh跳转页
+ * @param {String} outDir 打包生成的目录
+ * @param {Array} redirects getRedirects的返回值
+ * @param {String} base siteConfig base
+ */
+function writeRedirectPages(outDir, redirects, base = '/') {
+  redirects.forEach(({ from, to }) => {
+    const filePath = path.join(outDir, /\.html$/.test(from) ? from : path.join(from, 'index.html'))
+    if (fs.existsSync(filePath)) { // 不覆盖真实页面
+      return
+    }
+    const url = encodeURI(withBase(to, base))
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Redirecting...</title>
+  <link rel="canonical" href="${url}">
+  <meta name="robots" content="noindex">
+  <meta http-equiv="refresh" content="0; url=${url}">
+</head>
+<body>
+  <a href="${url}">${url}</a>
+  <script>location.replace(${JSON.stringify(url)} + location.search + location.hash)</script>
+</body>
+</html>
+`)
+  })
+  if (redirects.length) {
+    log(chalk.blue('tip ') + chalk.green(`create redirect pages(生成跳转页): ${redirects.length}`))
+  }
+}
+
+// 读取变更历史
+function readLedger(sourceDir) {
+  const ledgerPath = path.join(sourceDir, '.vuepress', LEDGER_FILE)
+  const ledger = fs.existsSync(ledgerPath) ? JSON.parse(fs.readFileSync(ledgerPath, 'utf8')) : {}
+  return {
+    files: ledger.files || {},
+    generated: ledger.generated || []
+  }
+}
+
+// 保存变更历史（内容未变化时不写入）
+function saveLedger(sourceDir, ledger) {
+  const ledgerPath = path.join(sourceDir, '.vuepress', LEDGER_FILE)
+  const content = JSON.stringify(ledger, null, 2) + '\n'
+  if (!fs.existsSync(ledgerPath) || fs.readFileSync(ledgerPath, 'utf8') !== content) {
+    fs.writeFileSync(ledgerPath, content)
+  }
+}
+
+// 添加base路径
+function withBase(link, base) {
+  return base.replace(/\/$/, '') + link
+}
+
+module.exports = {
+  getRedirects,
+  writeVercelRedirects,
+  writeRedirectPages
+}
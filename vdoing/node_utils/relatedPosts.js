@@ -0,0 +1,134 @@
+// 相关文章：按共同标签、共同分类路径和正文相似度（TF-IDF余弦）给同一语言下的文章两两打分
+
+const chalk = require('chalk') // 命令行打印美化
+const { type } = require('./modules/fn');
+const { stripMarkdown } = require('./modules/markdownText');
+const { tokenize } = require('./modules/tokenize');
+const log = console.log
+
+const COUNT = 5 // 每篇文章默认的相关文章数
+const TITLE_WEIGHT = 3 // 标题中的词权重
+const WEIGHTS = { tags: 1, categories: 1, content: 1 } // 各项得分的默认权重
+
+/**
+ * 计算相关文章，结果写入 page.relatedPosts = [{title, path}]
+ * @param {Array} pages ctx.pages
+ * @param {Object} options {count, weights, locales}
+ */
+function setRelatedPosts(pages, options = {}) {
+  const { count = COUNT, locales = [{ path: '/' }] } = options
+  const weights = { ...WEIGHTS, ...options.weights }
+
+  const posts = pages
+    .filter(page => {
+      const { frontmatter } = page
+      return !(page.draft || frontmatter.pageComponent || frontmatter.article === false || frontmatter.home === true)
+    })
+    .map(readPost)
+
+  // 不同语言的文章互不推荐
+  const groups = {}
+  posts.forEach(post => {
+    const locale = locales.find(item => item.path !== '/' && post.page.regularPath.indexOf(item.path) === 0) || locales[0]
+    ;(groups[locale.path] = groups[locale.path] || []).push(post)
+  })
+
+  let total = 0
+  Object.keys(groups).forEach(localePath => {
+    const group = groups[localePath]
+    setVectors(group)
+    group.forEach(post => {
+      const related = group
+        .filter(item => item !== post)
+        .map(item => ({ post: item, score: getScore(post, item, weights) }))
+        .filter(item => item.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, count)
+        .map(({ post: { page } }) => ({ title: page.title, path: page.path }))
+      post.page.relatedPosts = related
+      if (related.length) total++
+    })
+  })
+
+  log(chalk.blue('tip ') + chalk.green(`related posts(相关文章)：已为 ${total} 篇文章计算相关文章`))
+}
+
+// 读取文章的标签、分类和词频
+function readPost(page) {
+  const { frontmatter, _strippedContent } = page
+  const terms = new Map() // 小写 => 词频
+  const addTerms = (str, weight) => {
+    tokenize(str).forEach(word => {
+      const key = word.toLowerCase()
+      terms.set(key, (terms.get(key) || 0) + weight)
+    })
+  }
+  addTerms(String(page.title || ''), TITLE_WEIGHT)
+  addTerms(stripMarkdown(_strippedContent || ''), 1)
+
+  return {
+    page,
+    tags: new Set(page.tags || []), // 规范化之后的标签(见 postIndex.js)
+    categories: toArray(frontmatter.categories),
+    terms
+  }
+}
+
+// 按本组文章计算TF-IDF向量，并归一化为单位向量
+function setVectors(posts) {
+  const docFreq = new Map()
+  posts.forEach(post => {
+    post.terms.forEach((freq, term) => docFreq.set(term, (docFreq.get(term) || 0) + 1))
+  })
+
+  posts.forEach(post => {
+    const vector = new Map()
+    let norm = 0
+    post.terms.forEach((freq, term) => {
+      const docs = docFreq.get(term)
+      if (docs < 2) return // 只在本篇出现的词对相似度没有贡献
+      const weight = freq * Math.log((posts.length + 1) / (docs + 1))
+      if (weight <= 0) return // 所有文章都出现的词权重为0
+      vector.set(term, weight)
+      norm += weight * weight
+    })
+    if (norm) { // 没有有效的词时保持空向量，避免除以0得到NaN
+      norm = Math.sqrt(norm)
+      vector.forEach((weight, term) => vector.set(term, weight / norm))
+    }
+    post.vector = vector
+  })
+}
+
+/**
+ * 两篇文章的相关度，各项得分均在0~1之间
+ * 标签：共同标签数 / √(标签数之积)
+ * 分类：共同的分类路径前缀层数 / 较长的分类路径层数
+ * 正文：TF-IDF向量的余弦相似度
+ */
+function getScore(a, b, weights) {
+  let tags = 0
+  if (a.tags.size && b.tags.size) {
+    a.tags.forEach(tag => { if (b.tags.has(tag)) tags++ })
+    tags = tags / Math.sqrt(a.tags.size * b.tags.size)
+  }
+
+  let prefix = 0
+  while (prefix < a.categories.length && a.categories[prefix] === b.categories[prefix]) prefix++
+  const categories = prefix ? prefix / Math.max(a.categories.length, b.categories.length) : 0
+
+  const [small, large] = a.vector.size < b.vector.size ? [a.vector, b.vector] : [b.vector, a.vector]
+  let content = 0
+  small.forEach((weight, term) => {
+    if (large.has(term)) content += weight * large.get(term)
+  })
+
+  return tags * weights.tags + categories * weights.categories + content * weights.content
+}
+
+function toArray(value) {
+  if (type(value) === 'array') return value.filter(Boolean).map(String)
+  return value ? [String(value)] : []
+}
+
+module.exports = setRelatedPosts
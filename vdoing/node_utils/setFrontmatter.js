@@ -1,171 +1,91 @@
-const fs = require('fs'); // 文件模块
-const matter = require('gray-matter'); // FrontMatter解析器 https://github.com/jonschlinkert/gray-matter
-const jsonToYaml = require('json2yaml')
 const chalk = require('chalk') // 命令行打印美化
 // const arg = process.argv.splice(2)[0]; // 获取命令行传入的参数
-const readFileList = require('./modules/readFileList');
+const { scanDocs } = require('./modules/scanDocs');
 const { type, repairDate, dateFormat } = require('./modules/fn');
+const { createPermalink, collectPermalinks } = require('./modules/permalink');
+const { getCreatedDate } = require('./modules/fileDate');
+const getCategories = require('./modules/getCategories');
+const { getLocales, getFileLocale, getCategoryText } = require('./modules/locales');
+const { updateFrontmatter } = require('./modules/frontmatter');
+const { createFrontmatterWriter } = require('./modules/writeFrontmatter');
 const log = console.log
 const path = require('path');
-const os = require('os');
-
-const PREFIX = '/pages/'
 
 /**
  * 给.md文件设置frontmatter(标题、日期、永久链接等数据)
+ * 预演(dryRun)模式下只打印每个文件的修改内容，严格(strict)模式下有文件缺少frontmatter时抛出错误，两者都不写入文件
+ * @param {String} sourceDir .md文件所在源目录(一般是docs目录)
+ * @param {Object} themeConfig 主题配置
+ * @param {Array} locales 多语言 getLocales的返回值，非根locale的文件使用对应的分类根目录、永久链接前缀和默认分类名
  */
-function setFrontmatter(sourceDir, themeConfig) {
-  const { category: isCategory, tag: isTag, categoryText = '随笔', extendFrontmatter } = themeConfig
-  const files = readFileList(sourceDir) // 读取所有md文件数据
-  // 扩展自定义生成frontmatter
-  const extendFrontmatterStr = extendFrontmatter ?
-    jsonToYaml.stringify(extendFrontmatter)
-      .replace(/\n\s{2}/g, "\n")
-      .replace(/"|---\n/g, "")
-    : '';
+function setFrontmatter(sourceDir, themeConfig, locales = getLocales()) {
+  const { category: isCategory, tag: isTag, extendFrontmatter, permalink: permalinkMode } = themeConfig
+  const writer = createFrontmatterWriter(sourceDir, themeConfig.autoFrontmatter)
+  const postsSidebar = themeConfig.sidebar && themeConfig.sidebar.posts // _posts侧边栏的分组方式
+  const files = scanDocs(sourceDir) // 读取所有md文件数据
+  const permalinks = collectPermalinks(files) // 已有的永久链接，写入新链接前用于检查冲突
 
   files.forEach(file => {
-    let dataStr = fs.readFileSync(file.filePath, 'utf8');// 读取每个md文件内容
+    const locale = getFileLocale(sourceDir, file.filePath, locales)
+    const localeDir = path.join(sourceDir, locale.path.replace(/\/$/, ''))
+    if (locale.path !== '/' && path.dirname(file.filePath) === localeDir) { // 跳过locale目录下的首页等文件，同docs目录
+      return
+    }
+    const categoryText = getCategoryText(themeConfig, locale)
+    const matterData = file.data;
+    const changes = {}; // 需要添加的字段，已有的字段不会被修改
 
-    // fileMatterObj => {content:'剔除frontmatter后的文件内容字符串', data:{<frontmatter对象>}, ...}
-    const fileMatterObj = matter(dataStr, {});
+    // 没有title、date、permalink、categories、tags数据的
+    if (!matterData.hasOwnProperty('title')) { // 标题
+      changes.title = file.name;
+    }
 
-    if (Object.keys(fileMatterObj.data).length === 0) { // 未定义FrontMatter数据
-      const stat = fs.statSync(file.filePath);
-      const dateStr = dateFormat(
-        getBirthtime(stat)
-      ); // 文件的创建时间
-      const categories = getCategories(
-        file,
-        categoryText
-      );
+    if (!matterData.hasOwnProperty('date')) { // 日期，同时记录日期的来源(git | birthtime | mtime)
+      const { date, source } = getCreatedDate(file.filePath)
+      changes.date = dateFormat(date);
+      changes.dateSource = source;
+    }
 
-      let cateLabelStr = '';
-      categories.forEach(item => {
-        cateLabelStr += os.EOL + '  - ' + item
+    if (!matterData.hasOwnProperty('permalink')) { // 永久链接
+      const date = changes.date || matterData.date
+      changes.permalink = createPermalink(file, {
+        sourceDir,
+        mode: permalinkMode,
+        categories: type(matterData.categories) === 'array' ? matterData.categories : getCategories(file, categoryText, localeDir),
+        date: type(date) === 'date' ? repairDate(date) : String(date),
+        localePath: locale.path,
+        permalinks
       });
+    }
 
-      let cateStr = '';
-      if (!(isCategory === false)) {
-        cateStr = os.EOL + 'categories:' + cateLabelStr
-      };
-
-      // 注意下面这些反引号字符串的格式会映射到文件
-      const tagsStr = isTag === false ? '' : `
-tags:
-  - `;
-
-      const fmData = `---
-title: ${file.name}
-date: ${dateStr}
-permalink: ${getPermalink()}${file.filePath.indexOf('_posts') > -1 ? os.EOL + 'sidebar: auto' : ''}${cateStr}${tagsStr}
-${extendFrontmatterStr}---`;
-
-      fs.writeFileSync(file.filePath, `${fmData}${os.EOL}${fileMatterObj.content}`); // 写入
-      log(chalk.blue('tip ') + chalk.green(`write frontmatter(写入frontmatter)：${file.filePath} `))
-
-    } else { // 已有FrontMatter
-      let matterData = fileMatterObj.data;
-      let hasChange = false;
-
-      // 已有FrontMatter，但是没有title、date、permalink、categories、tags数据的
-      if (!matterData.hasOwnProperty('title')) { // 标题
-        matterData.title = file.name;
-        hasChange = true;
-      }
-
-      if (!matterData.hasOwnProperty('date')) { // 日期
-        const stat = fs.statSync(file.filePath);
-        matterData.date = dateFormat(getBirthtime(stat));
-        hasChange = true;
-      }
-
-      if (!matterData.hasOwnProperty('permalink')) { // 永久链接
-        matterData.permalink = getPermalink();
-        hasChange = true;
-      }
-
-      if (file.filePath.indexOf('_posts') > -1 && !matterData.hasOwnProperty('sidebar')) { // auto侧边栏，_posts文件夹特有
-        matterData.sidebar = "auto";
-        hasChange = true;
-      }
-
-      if (!matterData.hasOwnProperty('pageComponent') && matterData.article !== false) { // 是文章页才添加分类和标签
-        if (isCategory !== false && !matterData.hasOwnProperty('categories')) { // 分类
-          matterData.categories = getCategories(file, categoryText)
-          hasChange = true;
-        }
-        if (isTag !== false && !matterData.hasOwnProperty('tags')) { // 标签
-          matterData.tags = [''];
-          hasChange = true;
-        }
-      }
+    if (file.filePath.indexOf('_posts') > -1 && !postsSidebar && !matterData.hasOwnProperty('sidebar')) { // auto侧边栏，_posts文件夹特有(未开启_posts侧边栏时)
+      changes.sidebar = 'auto';
+    }
 
-      // 扩展自动生成frontmatter的字段
-      if (type(extendFrontmatter) === 'object') {
-        Object.keys(extendFrontmatter).forEach(keyName => {
-          if (!matterData.hasOwnProperty(keyName)) {
-            matterData[keyName] = extendFrontmatter[keyName]
-            hasChange = true;
-          }
-        })
+    if (!matterData.hasOwnProperty('pageComponent') && matterData.article !== false) { // 是文章页才添加分类和标签
+      if (isCategory !== false && !matterData.hasOwnProperty('categories')) { // 分类
+        changes.categories = getCategories(file, categoryText, localeDir)
       }
-
-      if (hasChange) {
-        if (matterData.date && type(matterData.date) === 'date') {
-          matterData.date = repairDate(matterData.date) // 修复时间格式
-        }
-        const newData = jsonToYaml.stringify(matterData).replace(/\n\s{2}/g, "\n").replace(/"/g, "") + '---' + os.EOL + fileMatterObj.content;
-        fs.writeFileSync(file.filePath, newData); // 写入
-        log(chalk.blue('tip ') + chalk.green(`write frontmatter(写入frontmatter)：${file.filePath} `))
+      if (isTag !== false && !matterData.hasOwnProperty('tags')) { // 标签
+        changes.tags = [''];
       }
-
     }
-  })
-}
 
-// 获取分类数据
-function getCategories(file, categoryText) {
-  let categories = []
-
-  if (file.filePath.indexOf('_posts') === -1) {
-    // 不在_posts文件夹
-    let filePathArr = file.filePath.split(path.sep) // path.sep用于兼容不同系统下的路径斜杠
-    filePathArr.pop()
-
-    let ind = filePathArr.indexOf('docs')
-    if (ind !== -1) {
-      while (filePathArr[++ind] !== undefined) {
-        const item = filePathArr[ind]
-        const firstDotIndex = item.indexOf('.');
-        categories.push(item.substring(firstDotIndex + 1) || '') // 获取分类
-        // categories.push(filePathArr[ind].split('.').pop()) // 获取分类
-      }
+    // 扩展自动生成frontmatter的字段
+    if (type(extendFrontmatter) === 'object') {
+      Object.keys(extendFrontmatter).forEach(keyName => {
+        if (!matterData.hasOwnProperty(keyName)) {
+          changes[keyName] = extendFrontmatter[keyName]
+        }
+      })
     }
-  } else {
-    // 碎片化文章的分类生成
-    const matchResult = file.filePath.match(/_posts\/(\S*)\//);
-    const resultStr = matchResult ? matchResult[1] : ''
-    const resultArr = resultStr.split('/').filter(Boolean)
 
-    if (resultArr.length) {
-      categories.push(...resultArr)
-    } else {
-      categories.push(categoryText)
+    if (Object.keys(changes).length && writer.write(file.filePath, file.raw, updateFrontmatter(file.raw, changes))) { // 写入
+      log(chalk.blue('tip ') + chalk.green(`write frontmatter(写入frontmatter)：${file.filePath} `))
     }
-  }
-  return categories
-}
-
-// 获取文件创建时间
-function getBirthtime(stat) {
-  // 在一些系统下无法获取birthtime属性的正确时间，使用atime代替
-  return stat.birthtime.getFullYear() != 1970 ? stat.birthtime : stat.atime
-}
+  })
 
-// 定义永久链接数据
-function getPermalink() {
-  return `${PREFIX + (Math.random() + Math.random()).toString(16).slice(2, 8)}/`
+  writer.check('个文件缺少frontmatter(missing frontmatter)')
 }
 
 
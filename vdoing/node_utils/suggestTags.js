@@ -0,0 +1,142 @@
+// 根据文章内容推荐标签（全站TF-IDF，中文按词切分）
+
+const fs = require('fs'); // 文件模块
+const path = require('path'); // 路径模块
+const chalk = require('chalk') // 命令行打印美化
+const { scanDocs } = require('./modules/scanDocs');
+const { type } = require('./modules/fn');
+const { updateFrontmatter } = require('./modules/frontmatter');
+const { createFrontmatterWriter } = require('./modules/writeFrontmatter');
+const { stripMarkdown } = require('./modules/markdownText');
+const { tokenize } = require('./modules/tokenize');
+const log = console.log
+
+const MAX_TAGS = 3 // 每篇文章默认推荐的标签数
+const TITLE_WEIGHT = 3 // 标题中的词权重
+const VOCABULARY_WEIGHT = 2 // 已有标签的权重，优先推荐已有标签
+
+/**
+ * 推荐标签
+ * @param {String} sourceDir .md文件所在源目录(一般是docs目录)
+ * @param {Object|String} options 'report' 打印推荐结果 | 'apply' 给没有标签的文章写入推荐标签 | {mode, max}
+ * @param {Object} autoFrontmatter 主题配置autoFrontmatter，写入标签时同样遵循预演(dryRun)和严格(strict)模式
+ */
+function suggestTags(sourceDir, options, autoFrontmatter) {
+  const { mode = 'report', max = MAX_TAGS } = type(options) === 'object' ? options : { mode: options }
+  const writer = createFrontmatterWriter(sourceDir, autoFrontmatter)
+  const posts = readPosts(sourceDir)
+  if (!posts.length) return
+
+  // 词出现在多少篇文章中
+  const docFreq = new Map()
+  posts.forEach(post => {
+    new Set(post.terms.keys()).forEach(term => docFreq.set(term, (docFreq.get(term) || 0) + 1))
+  })
+  const idf = term => Math.log((posts.length + 1) / ((docFreq.get(term) || 0) + 1)) + 1
+
+  // 已有的标签词汇表
+  const vocabulary = new Map() // 小写 => 原始写法
+  posts.forEach(post => post.tags.forEach(tag => vocabulary.set(tag.toLowerCase(), tag)))
+
+  let count = 0
+  posts.forEach(post => {
+    const suggestions = getSuggestions(post, { idf, vocabulary, max })
+    if (!suggestions.length) return
+
+    const isEmpty = !post.tags.length
+    if (mode === 'apply' && isEmpty) {
+      const dataStr = fs.readFileSync(post.filePath, 'utf8')
+      if (writer.write(post.filePath, dataStr, updateFrontmatter(dataStr, { tags: suggestions }))) {
+        log(chalk.blue('tip ') + chalk.green(`write tags(写入标签)：${post.filePath} => ${suggestions.join(', ')}`))
+        count++
+      }
+    } else if (mode === 'report') {
+      const relativePath = path.relative(sourceDir, post.filePath)
+      log(chalk.blue('tags ') + `${relativePath}${isEmpty ? chalk.yellow(' (无标签)') : ''}: ${chalk.green(suggestions.join(', '))}`)
+      count++
+    }
+  })
+
+  if (mode === 'apply') {
+    writer.check('个文件缺少标签(missing tags)')
+    log(chalk.blue('tip ') + chalk.green(`suggest tags(推荐标签)：已给 ${count} 篇文章写入标签`))
+  }
+}
+
+// 计算单篇文章的推荐标签
+function getSuggestions(post, { idf, vocabulary, max }) {
+  const scores = new Map()
+  const text = post.text.toLowerCase()
+
+  // 已有标签：按在正文中出现的次数计算
+  vocabulary.forEach((tag, key) => {
+    const occurrences = countOccurrences(text, key)
+    if (occurrences) {
+      scores.set(tag, occurrences / post.total * idf(key) * VOCABULARY_WEIGHT)
+    }
+  })
+
+  // 新的候选词
+  post.terms.forEach((freq, term) => {
+    if (!vocabulary.has(term)) {
+      scores.set(post.display.get(term), freq / post.total * idf(term))
+    }
+  })
+
+  const result = []
+  Array.from(scores.entries())
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([tag]) => {
+      // 跳过被已选标签包含的词，如已有“向量数据库”时不再推荐“向量”
+      const key = tag.toLowerCase()
+      if (result.length < max && !result.some(item => item.toLowerCase().includes(key) || key.includes(item.toLowerCase()))) {
+        result.push(tag)
+      }
+    })
+  return result
+}
+
+// 标签在文本中出现的次数。中文标签按子串计算，其他标签只匹配完整的单词，避免 ai 匹配到 training 中的字母
+function countOccurrences(text, key) {
+  if (/[一-龥]/.test(key)) {
+    return text.split(key).length - 1
+  }
+  const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  return (text.match(new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'gu')) || []).length
+}
+
+// 读取所有文章的分词结果
+function readPosts(sourceDir) {
+  const posts = []
+  scanDocs(sourceDir).forEach(file => {
+    const { filePath, data } = file
+    if (data.pageComponent || data.article === false || data.home === true) return
+
+    const terms = new Map() // 小写 => 词频
+    const display = new Map() // 小写 => 原始写法
+    let total = 0
+    const addTerms = (str, weight) => {
+      tokenize(str).forEach(word => {
+        const key = word.toLowerCase()
+        terms.set(key, (terms.get(key) || 0) + weight)
+        if (!display.has(key)) display.set(key, word)
+        total += weight
+      })
+    }
+    const text = stripMarkdown(file.content)
+    addTerms(String(data.title || ''), TITLE_WEIGHT)
+    addTerms(text, 1)
+
+    posts.push({
+      filePath,
+      text: `${data.title || ''}\n${text}`,
+      tags: type(data.tags) === 'array' ? data.tags.filter(Boolean).map(String) : [],
+      terms,
+      display,
+      total: total || 1
+    })
+  })
+  return posts
+}
+
+module.exports = suggestTags
@@ -0,0 +1,157 @@
+// 按主题配置中的schema校验frontmatter，并输出带行号的报告
+
+const path = require('path'); // 路径模块
+const chalk = require('chalk') // 命令行打印美化
+const YAML = require('yaml'); // 用于获取字段所在的行号
+const { scanDocs } = require('./modules/scanDocs');
+const { type } = require('./modules/fn');
+const log = console.log
+
+// 内置的字段规则，可被主题配置覆盖
+const DEFAULT_FIELDS = {
+  title: { type: ['string', 'number'] },
+  date: { type: 'date' },
+  dateSource: { type: 'string', enum: ['git', 'birthtime', 'mtime'] },
+  permalink: { type: 'string', pattern: '^/' },
+  categories: { type: 'array', items: ['string', 'number'] },
+  tags: { type: 'array', items: ['string', 'number'] },
+  sticky: { type: ['number', 'object'], properties: { order: { type: 'number' }, until: { type: 'date' } } },
+  order: { type: 'number' },
+  article: { type: 'boolean' },
+  sidebar: { type: ['boolean', 'string', 'object'] },
+  series: { type: ['string', 'object'], keys: ['name'] },
+  author: { type: ['string', 'object', 'array'], items: ['string', 'object'], keys: ['name'] },
+  pageComponent: { type: 'object', keys: ['name', 'data'] }
+}
+
+// 'YYYY-MM-DD' 或 'YYYY-MM-DD hh:mm:ss'(时允许一位数)
+const DATE_RE = /^\d{4}-\d{2}-\d{2}( \d{1,2}:\d{2}(:\d{2})?)?$/
+
+/**
+ * 校验所有md文件的frontmatter
+ * @param {String} sourceDir .md文件所在源目录(一般是docs目录)
+ * @param {Object|Boolean} schema 主题配置 frontmatterSchema
+ *  {
+ *    strict: <有错误时构建失败>,
+ *    fields: { <字段名>: { type, required, enum, pattern, items, keys, properties } },
+ *    dirs: { <相对于docs的目录>: { <字段名>: <规则> } }
+ *  }
+ * @returns {Array} 问题列表 [{filePath, line, message}]
+ */
+function validateFrontmatter(sourceDir, schema) {
+  const { strict = false, fields = {}, dirs = {} } = type(schema) === 'object' ? schema : {}
+  const problems = []
+
+  scanDocs(sourceDir).forEach(({ filePath, raw }) => {
+    const relativePath = path.relative(sourceDir, filePath).split(path.sep).join('/')
+    const rules = { ...DEFAULT_FIELDS, ...fields }
+    Object.keys(dirs).forEach(dir => {
+      if (relativePath.indexOf(dir.replace(/^\/|\/$/g, '') + '/') === 0) {
+        Object.assign(rules, dirs[dir])
+      }
+    })
+
+    const { doc, offset } = parseYaml(raw)
+    const report = (line, message) => problems.push({ filePath, line, message })
+    if (!doc) {
+      report(1, '缺少frontmatter')
+      return
+    }
+    if (doc.errors.length) {
+      report(doc.errors[0].linePos ? doc.errors[0].linePos[0].line + offset : 1, `yaml格式错误：${doc.errors[0].message}`)
+      return
+    }
+
+    const data = doc.toJS() || {}
+    const lineOf = key => {
+      const pair = YAML.isMap(doc.contents) && doc.contents.items.find(item => item.key && item.key.value === key)
+      return pair ? doc.lineCounter.linePos(pair.key.range[0]).line + offset : 1
+    }
+
+    Object.keys(rules).forEach(key => {
+      const rule = rules[key]
+      if (!rule) return // 规则设置为false时不校验该字段
+      if (!data.hasOwnProperty(key)) {
+        if (rule.required) report(1, `缺少字段 ${key}`)
+        return
+      }
+      checkValue(data[key], rule).forEach(message => report(lineOf(key), `${key} ${message}`))
+    })
+  })
+
+  if (problems.length) {
+    log(chalk.yellow(`warning: frontmatter校验发现 ${problems.length} 个问题(frontmatter validation)：`))
+    problems.forEach(({ filePath, line, message }) => {
+      log(`  ${chalk.cyan(`${path.relative(process.cwd(), filePath)}:${line}`)}  ${message}`)
+    })
+    if (strict) {
+      throw new Error(`[vdoing] frontmatter校验失败，共 ${problems.length} 个问题(frontmatter validation failed)`)
+    }
+  }
+  return problems
+}
+
+// 校验字段值，返回错误信息列表
+function checkValue(value, rule) {
+  const messages = []
+  if (rule.type && !matchType(value, rule.type)) {
+    messages.push(`应为 ${[].concat(rule.type).join(' | ')}，实际为 ${getType(value)}${getType(value) === 'string' ? `(${JSON.stringify(value)})` : ''}`)
+    return messages
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    messages.push(`的值应为 ${rule.enum.map(item => JSON.stringify(item)).join(' | ')} 之一`)
+  }
+  if (rule.pattern && typeof value === 'string' && !new RegExp(rule.pattern).test(value)) {
+    messages.push(`的格式应匹配 ${rule.pattern}`)
+  }
+  if (rule.items && Array.isArray(value)) {
+    value.forEach((item, index) => {
+      if (item !== null && item !== '' && !matchType(item, rule.items)) {
+        messages.push(`[${index}] 应为 ${[].concat(rule.items).join(' | ')}，实际为 ${getType(item)}`)
+      }
+    })
+  }
+  if (rule.keys && type(value) === 'object') {
+    rule.keys.forEach(key => {
+      if (!value.hasOwnProperty(key)) {
+        messages.push(`缺少 ${key}`)
+      }
+    })
+  }
+  if (rule.properties && type(value) === 'object') { // 对象中各个键的规则
+    Object.keys(rule.properties).forEach(key => {
+      const propertyRule = rule.properties[key]
+      if (!value.hasOwnProperty(key)) {
+        if (propertyRule.required) messages.push(`缺少 ${key}`)
+        return
+      }
+      checkValue(value[key], propertyRule).forEach(message => messages.push(`.${key} ${message}`))
+    })
+  }
+  return messages
+}
+
+function matchType(value, types) {
+  return [].concat(types).some(t => t === 'date'
+    ? typeof value === 'string' && DATE_RE.test(value)
+    : getType(value) === t
+  )
+}
+
+function getType(value) {
+  return value === null ? 'null' : type(value)
+}
+
+// 解析frontmatter的yaml，offset为yaml第一行在文件中的行号偏移
+function parseYaml(str) {
+  const match = /^---[ \t]*\r?\n([\s\S]*?)^---[ \t]*$/m.exec(str)
+  if (!match || match.index !== 0) {
+    return { doc: null, offset: 0 }
+  }
+  const lineCounter = new YAML.LineCounter()
+  const doc = YAML.parseDocument(match[1], { lineCounter, prettyErrors: true })
+  doc.lineCounter = lineCounter
+  return { doc, offset: 1 }
+}
+
+module.exports = validateFrontmatter
@@ -26,7 +26,15 @@ export interface VdoingThemeConfig extends NoSidebar4DefaultThemeConfig {
   archive?: boolean;
 
   /**
-   * 碎片化文章（_posts文件夹的文章）预设生成的分类值
+   * 是否打开系列功能(生成系列页 /series/)。
+   * 文章frontmatter中设置 series: { name: '<系列名>', part: <第几篇> } 后，文章底部显示系列内的上一篇、下一篇
+   * @default true
+   */
+  series?: boolean;
+
+  /**
+   * 碎片化文章（_posts文件夹的文章）预设生成的分类值。
+   * 多语言时可在 locales['/en/'].categoryText 中为每个语言单独设置，未设置时中文为'随笔'，其他语言为'Essays'
    * @default '随笔'
    */
   categoryText?: string;
@@ -109,16 +117,46 @@ export interface VdoingThemeConfig extends NoSidebar4DefaultThemeConfig {
 
   /**
    * 侧边栏配置
+   * posts 碎片化文章(_posts)的侧边栏分组方式：'date' 按年月 | 'category' 按分类 | 'folder' 按子目录，默认不生成(使用 sidebar: auto)
    */
   sidebar?:
   | 'structuring'
-  | { mode: 'structuring', collapsable: Boolean }
+  | { mode: 'structuring', collapsable: Boolean, posts?: false | 'date' | 'category' | 'folder' }
   | DefaultThemeConfig['sidebar']
 
   /**
-   * 文章默认的作者信息
+   * 给没有目录页的一级目录自动生成目录页(需开启结构化侧边栏)，生成在 docs/@pages/catalogue 下。exclude 不生成目录页的一级目录名
+   * 目录的描述可在目录下的 _index.yml 中通过 description 设置
+   * @default false
    */
-  author?: string | { name: string, link?: string }
+  autoCatalogue?: boolean | { exclude?: string[] }
+
+  /**
+   * 文章默认的作者信息，多个作者时为数组(md文件中的author同样支持数组)
+   */
+  author?: Author | Author[]
+
+  /**
+   * 作者资料，键为作者名，显示在作者页(/authors/)
+   */
+  authors?: {
+    [name: string]: {
+      avatar?: string,
+      bio?: string,
+      link?: string,
+      links?: {
+        iconClass?: string,
+        title: string,
+        link: string,
+      }[]
+    }
+  }
+
+  /**
+   * 是否生成作者页(/authors/)，按作者浏览文章
+   * @default true
+   */
+  authorsPage?: boolean
 
   /**
    * 博主信息 (显示在首页侧边栏)
@@ -158,6 +196,106 @@ export interface VdoingThemeConfig extends NoSidebar4DefaultThemeConfig {
     [key: string]: any
   }
 
+  /**
+   * 自动写入frontmatter的方式。dryRun 只打印每个文件将要修改的内容(unified diff)，不写入文件；
+   * strict 有文件缺少frontmatter时构建失败，不写入文件，可用于CI检查。同样作用于 tagSuggestion: 'apply' 写入的标签。
+   * 也可以通过环境变量 VDOING_FRONTMATTER=dry-run | strict 指定，环境变量优先。
+   */
+  autoFrontmatter?: {
+    dryRun?: boolean,
+    strict?: boolean
+  }
+
+  /**
+   * 自动生成永久链接的方式。
+   * 'hash' 由文件路径计算，格式同 /pages/xxxxxx/ | 'slug' 由分类和文件名转换，同 '/:category/:slug/' | 'random' 随机生成（旧版行为）
+   * 也可以是自定义模板，可用变量：:category :slug :hash :year :month :day
+   * @default 'hash'
+   */
+  permalink?: 'hash' | 'slug' | 'random' | string
+
+  /**
+   * 根据文章内容推荐标签（全站TF-IDF，中文按词切分，优先推荐已有标签）。
+   * 'report' 打印每篇文章的推荐标签 | 'apply' 给没有标签的文章写入推荐标签。max 每篇文章推荐的标签数，默认3
+   * @default false
+   */
+  tagSuggestion?: false | 'report' | 'apply' | { mode: 'report' | 'apply', max?: number }
+
+  /**
+   * 标签规范化，作用于标签页、标签栏、文章列表和文章底部的标签及其链接。
+   * 默认合并大小写、空白和全角字符不同的同名标签，显示为文章中最常用的写法。
+   * caseSensitive 区分大小写；aliases 别名 => 规范标签，如 { llm: 'LLM', '大模型': 'LLM' }；hidden 不显示的标签。
+   * 指向别名或旧写法的标签页链接会跳转到规范标签。
+   */
+  tagRules?: { caseSensitive?: boolean, aliases?: { [alias: string]: string }, hidden?: string[] }
+
+  /**
+   * 分类页中置顶的文章，键为分类路径(如 '基础知识/Transformer')或分类名，值为按顺序置顶的文章永久链接。
+   * until 置顶的截止时间，过期后恢复按时间排序。全站置顶使用frontmatter中的sticky。
+   */
+  categorySticky?: { [category: string]: Array<string | { path: string, until?: string }> }
+
+  /**
+   * 自动生成文章摘要(description)，用于<meta name="description">和首页文章列表。
+   * 取正文开头有意义的段落，去除markdown语法、代码和容器。length 摘要的最大长度，中文字符按2计算。
+   * 在frontmatter中设置description可覆盖自动生成的摘要。
+   * @default { length: 160 }
+   */
+  autoDescription?: boolean | { length?: number }
+
+  /**
+   * 文章字数和预计阅读时间，显示在文章信息、文章列表和首页博主信息栏中。
+   * 中日韩文字按字计、其他文字按单词计、代码块按行单独计，数值为每分钟的阅读速度。
+   * @default { cjk: 300, latin: 200, code: 30 }
+   */
+  readingTime?: false | { cjk?: number, latin?: number, code?: number }
+
+  /**
+   * 文章底部的“相关文章”，构建时按共同标签、共同分类路径和正文相似度给同一语言下的文章两两打分。
+   * count 每篇文章显示的相关文章数；weights 各项得分(均在0~1之间)的权重，设为0可忽略该项。
+   * @default { count: 5, weights: { tags: 1, categories: 1, content: 1 } }
+   */
+  relatedPosts?: false | { count?: number, weights?: { tags?: number, categories?: number, content?: number } }
+
+  /**
+   * 主题组件中显示的文字(草稿标记、字数、阅读时间、系列导航、相关文章等)，{xxx}为占位符，如 seriesPart: 'Part {part} of {total}'。
+   * 多语言时在 locales['/en/'].labels 中为每个语言单独设置，未设置的项使用中文
+   * @see vdoing/util/labels.js
+   */
+  labels?: { [key: string]: string }
+
+  /**
+   * 永久链接修改或文件移动后，为旧链接生成重定向。
+   * 'vercel' 合并到项目根目录vercel.json的redirects字段 | 'html' 构建时在打包目录生成meta-refresh跳转页
+   * 变更历史记录在 docs/.vuepress/permalinkHistory.json，需要提交到仓库。
+   * @default false
+   */
+  redirects?: false | 'vercel' | 'html'
+
+  /**
+   * front matter校验，构建时输出带行号的问题报告(true 使用内置规则)
+   * 内置规则会检查date格式、categories/tags是否为数组、pageComponent是否包含name和data等
+   * fields 全站字段规则，与内置规则合并，设置为false时不校验该字段
+   * dirs 按目录(相对于docs)追加的字段规则，如 { '_posts': { tags: { type: 'array', required: true } } }
+   * strict 有问题时构建失败
+   */
+  frontmatterSchema?: boolean | {
+    strict?: boolean
+    fields?: { [key: string]: FrontmatterRule | false }
+    dirs?: { [dir: string]: { [key: string]: FrontmatterRule | false } }
+  }
+
+  /**
+   * 主题生成的页面(categoriesPage | tagsPage | archivesPage | seriesPage | authorsPage)的配置，设置为false时不生成该页面。
+   * title 标题 | permalink 永久链接 | frontmatter 额外的frontmatter | locales 各语言的配置，如 { '/en/': { title: 'Tags' } }
+   * 非根语言未配置permalink时，使用根语言的永久链接并添加语言路径前缀。配置修改后，docs/@pages 下已生成的页面会同步更新
+   */
+  pages?: {
+    [page: string]: false | GeneratedPageConfig & {
+      locales?: { [localePath: string]: GeneratedPageConfig }
+    }
+  }
+
   /**
    * 自定义hmtl(广告)模块
    * @see: https://doc.xugaoyi.com/pages/a20ce8/#htmlmodules
@@ -179,3 +317,39 @@ export interface VdoingThemeConfig extends NoSidebar4DefaultThemeConfig {
    */
   [key: string]: any;
 }
+
+/**
+ * 生成页面的配置
+ */
+export interface GeneratedPageConfig {
+  title?: string
+  permalink?: string
+  frontmatter?: { [key: string]: any }
+}
+
+/**
+ * 作者信息
+ */
+export type Author = string | { name: string, link?: string }
+
+/**
+ * front matter字段规则
+ */
+export interface FrontmatterRule {
+  /** 字段类型，'date' 为 'YYYY-MM-DD hh:mm:ss' 格式的字符串 */
+  type?: FrontmatterType | FrontmatterType[]
+  /** 是否必填 */
+  required?: boolean
+  /** 允许的值 */
+  enum?: any[]
+  /** 字符串需匹配的正则 */
+  pattern?: string
+  /** 数组元素的类型 */
+  items?: FrontmatterType | FrontmatterType[]
+  /** 对象必须包含的键 */
+  keys?: string[]
+  /** 对象中各个键的规则，如 { order: { type: 'number' } } */
+  properties?: { [key: string]: FrontmatterRule }
+}
+
+export type FrontmatterType = 'string' | 'number' | 'boolean' | 'array' | 'object' | 'date'
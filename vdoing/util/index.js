@@ -269,20 +269,8 @@ export function zero(d) {
   return d.toString().padStart(2, '0')
 }
 
-// 获取时间的时间戳
-export function getTimeNum(post) {
-  let dateStr = post.frontmatter.date || post.lastUpdated || new Date()
-  let date = new Date(dateStr)
-  if (date == "Invalid Date" && dateStr) { // 修复new Date()在Safari下出现Invalid Date的问题
-    date = new Date(dateStr.replace(/-/g, '/'))
-  }
-  return date.getTime()
-}
-
-// 比对时间
-export function compareDate(a, b) {
-  return getTimeNum(b) - getTimeNum(a)
-}
+// 文章时间戳、时间比对和作者信息，与node端共用(见 ./shared.js)
+export { getTimeNum, compareDate, getAuthors } from './shared'
 
 // 将特殊符号编码（应用于url）
 export function encodeUrl(str) {
@@ -290,3 +278,15 @@ export function encodeUrl(str) {
   str = str.replace(/ |((?=[\x21-\x7e]+)[^A-Za-z0-9])/g, '-')
   return str
 }
+
+// 字数格式化，超过一万时中文以“万”为单位，其他语言以“k”(千)为单位
+export function wordCountFormat(count, lang = 'zh-CN') {
+  if (count < 10000) return `${count}`
+  return /^zh/i.test(lang) ? `${Math.round(count / 1000) / 10}万` : `${Math.round(count / 100) / 10}k`
+}
+
+// 获取作者资料，主题配置authors中的资料与文章中的作者信息合并
+export function getAuthorProfile(author, themeConfig) {
+  const profile = (themeConfig.authors || {})[author.name] || {}
+  return { ...profile, ...author, link: author.link || profile.link }
+}
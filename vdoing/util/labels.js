@@ -0,0 +1,49 @@
+// 主题组件中显示的文字，可在主题配置 labels 或 locales['/en/'].labels 中覆盖，{xxx}为占位符
+export const DEFAULT_LABELS = {
+  draft: '草稿',
+  scheduled: '定时发布',
+  draftTitle: '该文章不会在生产环境中发布',
+  words: '{words}字',
+  wordsTitle: '字数',
+  codeLines: '（另有{lines}行代码）',
+  readingTime: '{minutes}分钟',
+  readingTimeTitle: '预计阅读时间',
+  readMore: '阅读全文',
+  series: '系列',
+  seriesPart: '第 {part} 篇 / 共 {total} 篇',
+  prev: '上一篇',
+  next: '下一篇',
+  relatedPosts: '相关文章',
+  totalPosts: '{count} 篇文章',
+  totalPostsTitle: '文章数',
+  totalWords: '{words} 字',
+  totalWordsTitle: '总字数',
+  totalHours: '约 {hours} 小时阅读',
+  totalHoursTitle: '总阅读时间'
+}
+
+let installed = false
+
+/**
+ * 在Vue原型上定义$labels，返回当前语言的文字(语言配置 > 全局配置 > 默认中文)
+ * @param {Function} Vue VuePress 正在使用的 Vue 构造函数
+ */
+export function installLabels (Vue) {
+  if (installed) return // 构建时每渲染一个页面都会调用一次enhanceApp
+  installed = true
+  Object.defineProperty(Vue.prototype, '$labels', {
+    get () {
+      return { ...DEFAULT_LABELS, ...this.$themeConfig.labels, ...this.$themeLocaleConfig.labels }
+    }
+  })
+}
+
+/**
+ * 替换文字中的占位符，如 formatLabel('第 {part} 篇', { part: 1 }) => '第 1 篇'
+ * @param {String} label
+ * @param {Object} values
+ * @returns {String}
+ */
+export function formatLabel (label, values) {
+  return String(label).replace(/\{(\w+)\}/g, (match, key) => key in values ? values[key] : match)
+}
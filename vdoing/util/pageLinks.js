@@ -0,0 +1,17 @@
+// 主题生成的页面(分类页、标签页、归档页等)在当前语言下的链接，由构建时的页面配置决定
+let installed = false
+
+/**
+ * 在Vue原型上定义$pageLinks，与文章数据(见 postStore.js)一样不使用全局mixin，不影响第三方组件
+ * @param {Function} Vue VuePress 正在使用的 Vue 构造函数
+ */
+export function installPageLinks (Vue) {
+  if (installed) return // 构建时每渲染一个页面都会调用一次enhanceApp
+  installed = true
+  Object.defineProperty(Vue.prototype, '$pageLinks', {
+    get () {
+      const pageLinks = this.$themeConfig.pageLinks || {}
+      return pageLinks[this.$localePath] || pageLinks['/'] || {}
+    }
+  })
+}
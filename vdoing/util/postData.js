@@ -1,108 +1,94 @@
-import { type, compareDate } from './index'
+import { zero } from './index'
+import { CATEGORY_SEPARATOR, getTagKey, getTagAliases, getSeries, getTimeNum } from './shared'
+
+// 分类路径分隔符、标签比较键和系列信息与node端共用(见 ./shared.js)
+export { CATEGORY_SEPARATOR, getTagKey, getSeries }
 
 /**
- * 过滤非文章页
- * @param {Array} posts 所有文章数据
+ * 将链接中的标签解析为规范标签，兼容大小写、全角和别名不同的旧链接
+ * @param {String} tag 链接中的标签
+ * @param {Array} tags 所有标签 [{key, length}]
+ * @param {Object} tagRules 主题配置tagRules
+ * @returns {String} 规范标签，找不到时原样返回
  */
-export function filterPosts (posts) {
-  posts = posts.filter(item => {
-    const { frontmatter: { pageComponent, article, home } } = item
-    return !(pageComponent || article === false || home === true) // 存在页面组件、article字段为false，以及首页
-  })
-  return posts
+export function resolveTag (tag, tags, tagRules = {}) {
+  const aliases = getTagAliases(tagRules)
+  let key = getTagKey(tag, tagRules)
+  if (aliases[key]) {
+    key = getTagKey(aliases[key], tagRules)
+  }
+  const item = tags.find(item => getTagKey(item.key, tagRules) === key)
+  return item ? item.key : tag
 }
 
 /**
- * 按置顶和时间排序
- * @param {Array} posts 过滤非文章页之后的文章数据
+ * 获取第index级分类的完整路径
+ * @param {Array} categories 文章的分类，如 ['基础知识', 'Transformer']
+ * @param {Number} index
  */
-export function sortPosts (posts) {
-  posts.sort((prev, next) => {
-    const prevSticky = prev.frontmatter.sticky
-    const nextSticky = next.frontmatter.sticky
-    if (prevSticky && nextSticky) {
-      return prevSticky == nextSticky ? compareDate(prev, next) : (prevSticky - nextSticky)
-    } else if (prevSticky && !nextSticky) {
-      return -1
-    } else if (!prevSticky && nextSticky) {
-      return 1
-    }
-    return compareDate(prev, next)
-  })
-  return posts
+export function getCategoryPath (categories, index) {
+  return categories.slice(0, index + 1).join(CATEGORY_SEPARATOR)
 }
 
 /**
- * 按时间排序
- * @param {Array} posts 过滤非文章页之后的文章数据
+ * 获取分类下的文章，category为分类路径，兼容只有分类名的旧链接
+ * @param {Object} groupPosts 按分类、标签和作者分组之后的文章数据
+ * @param {String} category 分类路径，如 '基础知识/Transformer'
  */
-export function sortPostsByDate (posts) {
-  posts.sort((prev, next) => {
-    return compareDate(prev, next)
-  })
-  return posts
+export function getCategoryPosts (groupPosts, category) {
+  return groupPosts.categoryPaths[category] || groupPosts.categories[category] || []
 }
 
 /**
- * 按分类和标签分组
- * @param {Array} posts 按时间排序之后的文章数据
+ * 获取文章发布时间的年、月、日，按本地时间计算
+ * @param {Object} post 文章数据
+ * @returns {Object} {year: '2024', month: '2024-03', day: '2024-03-05'}
  */
-export function groupPosts (posts) {
-  const categoriesObj = {}
-  const tagsObj = {}
+export function getPostDate (post) {
+  const date = new Date(getTimeNum(post))
+  const year = String(date.getFullYear())
+  const month = `${year}-${zero(date.getMonth() + 1)}`
+  return { year, month, day: `${month}-${zero(date.getDate())}` }
+}
 
-  for (let i = 0, postsL = posts.length; i < postsL; i++) {
-    const { frontmatter: { categories, tags } } = posts[i]
-    if (type(categories) === 'array') {
-      categories.forEach(item => {
-        if (item) { // 分类值是有效的
-          if (!categoriesObj[item]) {
-            categoriesObj[item] = []
-          }
-          categoriesObj[item].push(posts[i])
-        }
-      })
+/**
+ * 按年、月分组，保持文章原有的顺序
+ * @param {Array} posts 按时间排序之后的文章数据
+ * @returns {Array} [{year, length, months: [{month, posts}]}]
+ */
+export function groupPostsByMonth (posts) {
+  const years = []
+  posts.forEach(post => {
+    const { year, month } = getPostDate(post)
+    let yearItem = years.find(item => item.year === year)
+    if (!yearItem) {
+      yearItem = { year, length: 0, months: [] }
+      years.push(yearItem)
     }
-    if (type(tags) === 'array') {
-      tags.forEach(item => {
-        if (item) { // 标签值是有效的
-          if (!tagsObj[item]) {
-            tagsObj[item] = []
-          }
-          tagsObj[item].push(posts[i])
-        }
-      })
+    let monthItem = yearItem.months.find(item => item.month === month)
+    if (!monthItem) {
+      monthItem = { month, posts: [] }
+      yearItem.months.push(monthItem)
     }
-  }
-  return {
-    categories: categoriesObj,
-    tags: tagsObj
-  }
+    monthItem.posts.push(post)
+    yearItem.length++
+  })
+  return years
 }
 
 /**
- * 获取所有分类和标签
- * @param {Object} groupPosts 按分类和标签分组之后的文章数据
+ * 按天分组，用于发布热力图
+ * @param {Array} posts 文章数据
+ * @returns {Object} {'2024-03-05': [post]}
  */
-export function categoriesAndTags (groupPosts) {
-  const categoriesArr = []
-  const tagsArr = []
-
-  for (let key in groupPosts.categories) {
-    categoriesArr.push({
-      key,
-      length: groupPosts.categories[key].length
-    })
-  }
-
-  for (let key in groupPosts.tags) {
-    tagsArr.push({
-      key,
-      length: groupPosts.tags[key].length
-    })
-  }
-  return {
-    categories: categoriesArr,
-    tags: tagsArr
-  }
+export function groupPostsByDay (posts) {
+  const days = {}
+  posts.forEach(post => {
+    const { day } = getPostDate(post)
+    if (!days[day]) {
+      days[day] = []
+    }
+    days[day].push(post)
+  })
+  return days
 }
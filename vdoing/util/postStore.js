@@ -0,0 +1,150 @@
+import postIndex from '@dynamic/postIndex'
+
+/**
+ * 文章数据的共享只读存储
+ * 过滤、排序、分组和计数在构建时完成(见 node_utils/postIndex.js)，这里只把索引中的页面key换成 $site.pages 中的页面数据，
+ * 每种语言只换一次，所有组件共用同一份结果。置顶在首次渲染时使用构建时的结果，与预渲染的html一致；
+ * 应用挂载之后再按浏览器的当前时间移除已过期的置顶，过期的置顶不需要重新构建。
+ * 每次创建的耗时记录在 performance 中：performance.getEntriesByName('vdoing:post-store')
+ */
+
+const MEASURE_NAME = 'vdoing:post-store'
+
+let cachedPages = null // 开发环境热更新后$site.pages会被替换，此时重新创建
+let cachedNow = 0
+let stores = {}
+let clock = { now: 0 } // 应用挂载之后的时间，挂载前为0(见 installPostStore)
+let installed = false
+
+/**
+ * 获取当前语言的文章数据
+ * @param {Array} pages $site.pages
+ * @param {String} localePath 当前语言的路径，如 '/' | '/en/'
+ * @param {Number} now 用于判断置顶是否过期的时间戳，为0时使用构建时的置顶
+ * @returns {Object} {posts, postsByDate, groups, series, counts, sticky, categorySticky}
+ */
+export function getPostStore (pages, localePath = '/', now = 0) {
+  if (pages !== cachedPages || now !== cachedNow) {
+    cachedPages = pages
+    cachedNow = now
+    stores = {}
+  }
+  if (!stores[localePath]) {
+    stores[localePath] = createStore(pages, postIndex[localePath] || postIndex['/'], now)
+  }
+  return stores[localePath]
+}
+
+function createStore (pages, index, now) {
+  const canMeasure = typeof performance !== 'undefined' && performance.mark
+  canMeasure && performance.mark(`${MEASURE_NAME}:start`)
+
+  const pagesByKey = {}
+  pages.forEach(page => {
+    pagesByKey[page.key] = page
+  })
+  const toPages = keys => Object.freeze(keys.map(key => pagesByKey[key]).filter(Boolean))
+  const toGroups = (groups, getSticky = () => []) => {
+    const result = {}
+    for (let key in groups) {
+      result[key] = toPages(pin(groups[key], getSticky(key)))
+    }
+    return Object.freeze(result)
+  }
+
+  // 构建时已过期的置顶不在索引中；挂载之后按当前时间处理，构建之后才过期的置顶也会恢复按时间排序
+  const getActiveKeys = list => (list || []).filter(item => !now || !item.until || item.until > now).map(item => item.key)
+  const sticky = getActiveKeys(index.sticky)
+  const categorySticky = {}
+  for (let key in index.categorySticky) {
+    categorySticky[key] = getActiveKeys(index.categorySticky[key])
+  }
+  const getCategorySticky = key => (categorySticky[key] || []).concat(sticky)
+
+  const { groups } = index
+  const store = Object.freeze({
+    posts: toPages(pin(index.postsByDate, sticky)), // 按置顶和时间排序
+    postsByDate: toPages(index.postsByDate), // 仅按时间排序
+    groups: Object.freeze({ // 按分类、分类路径、标签和作者分组，置顶的在前
+      categories: toGroups(groups.categories, getCategorySticky),
+      categoryPaths: toGroups(groups.categoryPaths, getCategorySticky),
+      tags: toGroups(groups.tags, () => sticky),
+      authors: toGroups(groups.authors, () => sticky)
+    }),
+    series: toGroups(index.series), // 按系列分组并排序
+    counts: deepFreeze(index.counts), // 所有分类(含分类树)、标签和作者的文章数
+    sticky: toKeyMap(sticky), // 当前置顶的文章 {key: true}
+    categorySticky: Object.freeze(Object.keys(categorySticky).reduce((result, key) => {
+      result[key] = toKeyMap(categorySticky[key])
+      return result
+    }, {})) // 分类页中置顶的文章 {分类: {key: true}}
+  })
+
+  if (canMeasure) {
+    performance.mark(`${MEASURE_NAME}:end`)
+    performance.measure(MEASURE_NAME, `${MEASURE_NAME}:start`, `${MEASURE_NAME}:end`)
+  }
+  return store
+}
+
+// 把置顶的文章移到最前，其余保持原有顺序
+function pin (keys, stickyKeys) {
+  if (!stickyKeys.length) return keys
+  const keySet = new Set(keys)
+  const pinned = Array.from(new Set(stickyKeys)).filter(key => keySet.has(key))
+  const pinnedSet = new Set(pinned)
+  return pinned.concat(keys.filter(key => !pinnedSet.has(key)))
+}
+
+function toKeyMap (keys) {
+  const result = {}
+  keys.forEach(key => {
+    result[key] = true
+  })
+  return Object.freeze(result)
+}
+
+function deepFreeze (obj) {
+  Object.values(obj).forEach(value => {
+    if (value && typeof value === 'object') {
+      deepFreeze(value)
+    }
+  })
+  return Object.freeze(obj)
+}
+
+/**
+ * 在Vue原型上定义文章数据的只读属性，组件通过 this.$postStore 或以下兼容的属性访问：
+ * $filterPosts、$sortPosts 按置顶和时间排序 | $sortPostsByDate 按时间排序 | $groupPosts 分组 |
+ * $categoriesAndTags 分类、标签和作者的文章数 | $groupSeries 系列
+ * @param {Function} Vue
+ */
+export function installPostStore (Vue) {
+  if (installed) return // 构建时每渲染一个页面都会调用一次enhanceApp
+  installed = true
+  clock = Vue.observable({ now: 0 })
+  Vue.mixin({
+    mounted () {
+      if (this === this.$root) { // 根组件在所有子组件挂载(激活)之后才触发mounted
+        clock.now = Date.now()
+      }
+    }
+  })
+
+  const properties = {
+    $postStore: store => store,
+    $filterPosts: store => store.posts,
+    $sortPosts: store => store.posts,
+    $sortPostsByDate: store => store.postsByDate,
+    $groupPosts: store => store.groups,
+    $categoriesAndTags: store => store.counts,
+    $groupSeries: store => store.series
+  }
+  Object.keys(properties).forEach(name => {
+    Object.defineProperty(Vue.prototype, name, {
+      get () {
+        return properties[name](getPostStore(this.$site.pages, this.$localePath, clock.now))
+      }
+    })
+  })
+}
@@ -0,0 +1,111 @@
+/**
+ * 前端和node端共用的文章数据规则：分类路径、标签比较键、系列、作者和时间解析
+ * 使用CommonJS，node端直接require，前端通过 import { ... } from './shared' 引用(babel按sourceType unambiguous处理，见 index.js 的 chainWebpack)
+ */
+const { type, repairDate } = require('../node_utils/modules/fn')
+
+// 分类路径的分隔符，如 '基础知识/Transformer' 表示基础知识下的Transformer分类
+const CATEGORY_SEPARATOR = '/'
+
+/**
+ * 标签的比较键：全角字符转半角、合并空白，默认忽略大小写
+ * @param {String} tag 标签
+ * @param {Object} tagRules 主题配置tagRules {caseSensitive, aliases, hidden}
+ * @returns {String}
+ */
+function getTagKey(tag, tagRules = {}) {
+  const key = cleanTag(tag)
+  return tagRules.caseSensitive ? key : key.toLowerCase()
+}
+
+// 全角字符(含全角标点)转半角，合并连续空白并去除首尾空白
+function cleanTag(tag) {
+  return String(tag).normalize('NFKC').replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * 别名 => 规范标签，键为比较键，规范标签本身也指向自己
+ * @param {Object} tagRules 主题配置tagRules
+ * @returns {Object}
+ */
+function getTagAliases(tagRules = {}) {
+  const aliases = {}
+  const aliasesConfig = tagRules.aliases || {}
+  Object.keys(aliasesConfig).forEach(alias => {
+    const canonical = cleanTag(aliasesConfig[alias])
+    aliases[getTagKey(alias, tagRules)] = canonical
+    aliases[getTagKey(canonical, tagRules)] = canonical
+  })
+  return aliases
+}
+
+/**
+ * 获取文章的系列信息
+ * frontmatter中 series: '<系列名>' 或 { name: '<系列名>', part: <第几篇> }
+ * @param {Object} frontmatter
+ * @returns {Object|null} {name, part}
+ */
+function getSeries(frontmatter) {
+  const { series } = frontmatter
+  if (type(series) === 'string' || type(series) === 'number') {
+    return { name: String(series), part: undefined }
+  }
+  if (type(series) === 'object' && series.name) {
+    const part = Number(series.part)
+    return { name: String(series.name), part: series.part === undefined || isNaN(part) ? undefined : part }
+  }
+  return null
+}
+
+/**
+ * 作者信息格式化为数组
+ * @param {String|Object|Array} author frontmatter或主题配置中的author，string | {name, link?} | 前两者组成的数组
+ * @returns {Array} [{name, link}]
+ */
+function getAuthors(author) {
+  return (type(author) === 'array' ? author : [author])
+    .map(item => type(item) === 'object'
+      ? Object.assign({}, item, { name: item.name, link: item.link || item.href })
+      : { name: item })
+    .filter(item => (type(item.name) === 'string' && item.name) || type(item.name) === 'number')
+    .map(item => Object.assign({}, item, { name: String(item.name) }))
+}
+
+/**
+ * 解析frontmatter中的时间，按本地时间解析
+ * 'YYYY-MM-DD hh:mm:ss' 中的'-'替换为'/'，同时修复Safari下new Date()出现Invalid Date的问题
+ * @param {String|Date} date
+ * @returns {Number} 时间戳，无法解析时为0
+ */
+function parseDate(date) {
+  const str = type(date) === 'date' ? repairDate(date) : String(date)
+  const time = new Date(str.replace(/-/g, '/')).getTime()
+  return isNaN(time) ? new Date(str).getTime() || 0 : time
+}
+
+/**
+ * 获取文章的时间戳，没有时间的文章视为当前时间
+ * @param {Object} post 文章页面
+ * @returns {Number}
+ */
+function getTimeNum(post) {
+  const date = post.frontmatter.date || post.lastUpdated
+  return date ? parseDate(date) : Date.now()
+}
+
+// 比对时间，时间晚的在前
+function compareDate(a, b) {
+  return getTimeNum(b) - getTimeNum(a)
+}
+
+module.exports = {
+  CATEGORY_SEPARATOR,
+  getTagKey,
+  cleanTag,
+  getTagAliases,
+  getSeries,
+  getAuthors,
+  parseDate,
+  getTimeNum,
+  compareDate
+}